@@ -1,128 +1,367 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import fs from 'fs-extra';
 import path from "path";
-import envPaths from "env-paths";
+import os from "os";
 import clipboardy from 'clipboardy';
 import chalk from 'chalk';
 import { spawnSync } from 'child_process';
+import { contextFor, contextOfFile, saveState, languagesFile, isValidName } from './lib/storage.js';
+import { isTimerRunning, retrieveSecondsSpent, getFileTimestamps } from './lib/timers.js';
+import { collectPracticeStats, practiceStatsToCsv } from './lib/stats.js';
+import { displayPath, getTimeAgo, formatSeconds, formatLimits, formatUsage, formatJudge } from './lib/format.js';
+import {
+    DEFAULT_TEMPLATE_NAME,
+    templateFileName,
+    templatePathFor,
+    templateTargetFor,
+    listTemplates,
+    getDefaultTemplateName,
+    generateFile
+} from './lib/templates.js';
+import { loadLanguages, saveLanguages, normalizeExtension } from './lib/build.js';
+import { describeExit } from './lib/execute.js';
+import { escapeRegExp, parseSamplesFromText, parseSamplesFromHtml } from './lib/samples.js';
+import { COMPARE_MODES, DEFAULT_LIMITS, resolveLimits } from './lib/judge.js';
+import { parseDuration as parseDurationValue, parseMemory as parseMemoryValue, parseSourceSize as parseSourceSizeValue } from './lib/units.js';
+import { CONFIG_FILE_NAME } from './lib/config.js';
+import { backupFile, listBackups, restoreBackup } from './lib/backups.js';
+import { SNIPPET_MARKER, snippetPathFor, listSnippets, readSnippet, saveSnippet, removeSnippet, insertSnippet } from './lib/snippets.js';
+import { MIN_MEASURABLE_MS, CLOSE_TO_LIMIT_RATIO, STARTUP_SIZE } from './lib/bench.js';
+import { createBundle, readBundle, planImport, applyImport, diffLines } from './lib/sync.js';
+import * as api from './lib/index.js';
 
-// Persistent storage paths
-const storageDir = envPaths("nomouse").data;
-const templatesDir = path.join(storageDir, 'templates');
-const exeDir = path.join(storageDir, 'exe');
-const stateFile = path.join(storageDir, 'state.json');
-
-// Ensure storage directories exist
-fs.ensureDirSync(storageDir);
-fs.ensureDirSync(templatesDir);
-fs.ensureDirSync(exeDir);
-
-// Load persistent state
-function loadState() {
-    try {
-        if (fs.existsSync(stateFile)) {
-            return fs.readJsonSync(stateFile);
-        }
-    } catch (error) {
-        console.log(chalk.yellow('Warning: Could not load previous state, starting fresh.'));
+// Workspace and state of the directory nms is run from
+const { workspace, state, globalState } = contextFor();
+
+// Expand a problem list such as "A-F", "1-5" or "A,B,Ex" into problem labels
+function parseProblems(value) {
+    const problems = [];
+    for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        const range = part.match(/^([A-Za-z]|\d+)-([A-Za-z]|\d+)$/);
+        if (!range) {
+            problems.push(part.toUpperCase());
+            continue;
+        }
+        const numeric = /^\d+$/.test(range[1]);
+        if (numeric !== /^\d+$/.test(range[2])) {
+            throw new InvalidArgumentError(`Cannot mix letters and numbers in range ${part}.`);
+        }
+        const from = numeric ? parseInt(range[1], 10) : range[1].toUpperCase().charCodeAt(0);
+        const to = numeric ? parseInt(range[2], 10) : range[2].toUpperCase().charCodeAt(0);
+        for (let i = from; i <= to; i++) {
+            problems.push(numeric ? String(i) : String.fromCharCode(i));
+        }
+    }
+    if (problems.length === 0) {
+        throw new InvalidArgumentError('Expected problems such as A-F or A,B,Ex.');
+    }
+    return problems;
+}
+
+// Parse a size list such as "1e3,1e4,2e5" into increasing whole numbers
+function parseSizes(value) {
+    const sizes = value.split(',').map(item => item.trim()).filter(Boolean).map(Number);
+    if (sizes.length === 0 || sizes.some(size => !Number.isFinite(size) || size < 1)) {
+        throw new InvalidArgumentError('Expected sizes such as 1e3,1e4,1e5.');
+    }
+    return [...new Set(sizes.map(Math.round))].sort((a, b) => a - b);
+}
+
+// Check names that end up in file names, as an option parser or inside an action
+function nameValidator(kind) {
+    return (name) => {
+        if (!isValidName(name)) {
+            throw new InvalidArgumentError(`${kind} names may only contain letters, digits, "_" and "-".`);
+        }
+        return name;
+    };
+}
+
+const validateTemplateName = nameValidator('Template');
+const validateSnippetName = nameValidator('Snippet');
+
+// Parse a repeatable --var key=value option into an object
+function collectVariable(value, previous = {}) {
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+        throw new InvalidArgumentError('Expected key=value.');
     }
-    return {
-        lastGenerated: null,
-        lastRun: null,
-        stats: { generated: 0, run: 0 },
-        fileTimestamps: {}
+    return { ...previous, [value.slice(0, separator).trim()]: value.slice(separator + 1) };
+}
+
+// Validate a --compare option
+function parseCompareMode(value) {
+    if (!COMPARE_MODES[value]) {
+        throw new InvalidArgumentError(`Expected one of ${Object.keys(COMPARE_MODES).join(', ')}.`);
+    }
+    return value;
+}
+
+// Validate an epsilon option such as 1e-6
+function parseEpsilon(value) {
+    const epsilon = Number(value);
+    if (!Number.isFinite(epsilon) || epsilon < 0) {
+        throw new InvalidArgumentError('Expected a non-negative number such as 1e-6.');
+    }
+    return epsilon;
+}
+
+// Parse a whole-number option; a bare parseInt turns "abc" into NaN, which silently disables the option
+function integerParser(min, example) {
+    return (value) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new InvalidArgumentError(`Expected ${min > 0 ? 'a positive' : 'a'} whole number such as ${example}.`);
+        }
+        return number;
+    };
+}
+
+const parseCount = integerParser(1, 100);
+const parseSeed = integerParser(-Infinity, 42);
+
+// Options choosing how outputs are judged, shared by test, watch and stress
+function addJudgeOptions(command) {
+    return command
+        .option('-c, --compare <mode>', `how outputs are compared: ${Object.keys(COMPARE_MODES).join(', ')}`, parseCompareMode, 'lines')
+        .option('--abs-eps <epsilon>', 'absolute error accepted by --compare float', parseEpsilon)
+        .option('--rel-eps <epsilon>', 'relative error accepted by --compare float', parseEpsilon)
+        .option('--checker <file>', 'judge with a testlib-style checker run as: checker <input> <output> <answer>');
+}
+
+// Report parse errors of option values the way commander expects
+function asOptionParser(parse) {
+    return (value) => {
+        try {
+            return parse(value);
+        } catch (error) {
+            throw new InvalidArgumentError(error.message);
+        }
     };
 }
 
-// Save persistent state
-function saveState(state) {
-    try {
-        fs.writeJsonSync(stateFile, state, { spaces: 2 });
-    } catch (error) {
-        console.error(chalk.red(`Error saving state: ${error.message}`));
+const parseDuration = asOptionParser(parseDurationValue);
+const parseMemory = asOptionParser(parseMemoryValue);
+const parseSourceSize = asOptionParser(parseSourceSizeValue);
+
+// Print a program's stderr, highlighting sanitizer frames that point into the source file
+function printProgramErrors(stderr, filename) {
+    if (!stderr || !stderr.trim()) return;
+    const sourceName = path.basename(filename);
+    stderr.trimEnd().split('\n').forEach(line => {
+        console.log(line.includes(`${sourceName}:`) ? chalk.yellow(line) : chalk.gray(line));
+    });
+}
+
+// Print why an output was rejected
+function printMismatch(mismatch) {
+    if (mismatch.message) {
+        console.log(chalk.gray(`   Checker: ${mismatch.message}`));
+        return;
     }
+    console.log(chalk.gray(`   First mismatch at ${mismatch.location}:`));
+    console.log(chalk.green(`   - expected: ${mismatch.expected === undefined ? '<end of output>' : mismatch.expected}`));
+    console.log(chalk.red(`   + actual:   ${mismatch.actual === undefined ? '<end of output>' : mismatch.actual}`));
 }
 
-// Get current state
-let state = loadState();
-
-// Helper function to get time ago string
-function getTimeAgo(date) {
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-    
-    if (diffMins < 1) return 'just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays < 7) return `${diffDays}d ago`;
-    return date.toLocaleDateString();
+// Print a line diff, keeping two unchanged lines around each change
+function printDiff(diff) {
+    const near = diff.map((entry, index) => entry.type !== ' ' ||
+        diff.slice(Math.max(0, index - 2), index + 3).some(other => other.type !== ' '));
+    let skipped = false;
+    diff.forEach((entry, index) => {
+        if (!near[index]) {
+            if (!skipped) console.log(chalk.gray('     ...'));
+            skipped = true;
+            return;
+        }
+        skipped = false;
+        const line = `     ${entry.type} ${entry.line}`;
+        console.log(entry.type === '-' ? chalk.red(line) : entry.type === '+' ? chalk.green(line) : chalk.gray(line));
+    });
 }
 
-// Register file generation timestamp
-function registerFileGenerated(filename) {
-    const ts = new Date().toISOString();
-    state.fileTimestamps[filename] = {};
-    state.fileTimestamps[filename].generated = ts;
-    state.fileTimestamps[filename].resumed = ts;
-    saveState(state);
-    return ts;
+// Print progress messages of the API in gray
+function printProgress(message) {
+    console.log(chalk.gray(message));
 }
 
-// Register file last-winded timestamp
-function registerFileWinded(filename) {
-    if (!state.fileTimestamps[filename]) return;
-    const ts = new Date().toISOString();
-    state.fileTimestamps[filename].lastWinded = ts;
-    saveState(state);
-    return ts;
+// Show the compiler's output and why a build failed
+function printCompileResult(compiled) {
+    if (compiled.output) process.stderr.write(compiled.output);
+    if (compiled.error) {
+        console.error(chalk.red(`✗ ${compiled.error}`));
+    } else if (!compiled.ok) {
+        console.error(chalk.red(`✗ Compilation failed with exit code ${compiled.status}`));
+    }
 }
 
-function pauseTimer(filename) {
-    if (!state.fileTimestamps[filename]) return;
-    const ts = new Date().toISOString();
-    state.fileTimestamps[filename].paused = ts;
-    saveState(state);
-    return ts;
+// Judge a file against every sample case, printing a verdict per case
+async function testAgainstSamples(filename, options = {}) {
+    const report = await api.test(filename, {
+        ...options,
+        onProgress: printProgress,
+        onCompile: printCompileResult,
+        onStart: ({ cases, limits, judge }) => {
+            console.log(chalk.blue(`Testing ${filename} against ${cases.length} sample case(s)...`));
+            console.log(chalk.gray(`Limits: ${formatLimits(limits)}`));
+            console.log(chalk.gray(`Comparison: ${formatJudge(judge)}`));
+        },
+        onCase: (result) => {
+            const usage = chalk.gray(`(${formatUsage(result)})`);
+            if (result.verdict === 'AC') {
+                console.log(`${chalk.green(`AC ${result.name}`)} ${usage}`);
+            } else if (result.verdict === 'WA' || result.verdict === 'PE') {
+                console.log(`${chalk.red(`${result.verdict} ${result.name}`)} ${usage}`);
+                printMismatch(result.mismatch);
+            } else if (result.verdict === 'FAIL') {
+                console.log(`${chalk.red(`FAIL ${result.name} (the checker failed)`)} ${usage}`);
+                printMismatch(result.mismatch);
+            } else if (result.verdict === 'TLE' || result.verdict === 'MLE') {
+                console.log(`${chalk.yellow(`${result.verdict} ${result.name}`)} ${usage}`);
+            } else {
+                console.log(`${chalk.magenta(`RE ${result.name} (${describeExit(result.status, result.signal)})`)} ${usage}`);
+                printProgramErrors(result.stderr, filename);
+            }
+        }
+    });
+
+    if (report.total === 0) {
+        const baseName = path.basename(filename, path.extname(filename));
+        if (report.compiled && report.compiled.ok) console.log(chalk.green(`✓ Compiled ${filename}`));
+        console.log(chalk.yellow(`No sample cases found. Add ${baseName}.in1/${baseName}.out1 or tests/${baseName}/*.in/*.out next to ${filename}.`));
+        return;
+    }
+    if (report.cases.length === 0) return;
+
+    const summary = `${report.passed}/${report.total} sample case(s) passed`;
+    console.log(report.passed === report.total ? chalk.green(`✓ ${summary}`) : chalk.red(`✗ ${summary}`));
 }
 
-function resumeTimer(filename) {
-    if (!state.fileTimestamps[filename]) return 0;
-    if (!state.fileTimestamps[filename].paused) return -1;
-    const elapsed = new Date()-new Date(state.fileTimestamps[filename].paused);
-    const ts = new Date().toISOString();
-    state.fileTimestamps[filename].resumed = ts;
-    state.fileTimestamps[filename].paused = null;
-    state.fileTimestamps[filename].blank = elapsed;
-    saveState(state);
-    return Math.floor(elapsed / 1000);
+// Clear the terminal, as the clear command does
+function clearScreen() {
+    const cmd = process.platform === "win32" ? "cls" : "clear";
+    spawnSync(cmd, { stdio: "inherit", shell:true });
 }
 
-function retrieveSecondsSpent(filename) {
-    if (!state.fileTimestamps[filename]) return -1;
-    const spent = (state.fileTimestamps[filename].paused) 
-        ? new Date(state.fileTimestamps[filename].paused) - new Date(state.fileTimestamps[filename].generated) + (state.fileTimestamps[filename].blank || 0)
-        : new Date() - new Date(state.fileTimestamps[filename].generated) + (state.fileTimestamps[filename].blank || 0);
-    return Math.floor(spent / 1000);
+// Call onChange (debounced) whenever a source file or its sample cases change
+function watchSourceAndSamples(filename, onChange) {
+    const dir = path.dirname(filename);
+    const sourceName = path.basename(filename);
+    const baseName = path.basename(filename, path.extname(filename));
+    const samplePattern = new RegExp(`^${escapeRegExp(baseName)}\\.(in|out)\\d+$`);
+    let pending = null;
+
+    const trigger = () => {
+        clearTimeout(pending);
+        pending = setTimeout(onChange, 200);
+    };
+
+    // tests/ and tests/<name>/ may only appear later (stress saves failing cases there), so their
+    // watchers are attached whenever they show up and dropped when they are removed
+    const testsRoot = path.join(dir, 'tests');
+    const testsDir = path.join(testsRoot, baseName);
+    let testsRootWatcher = null;
+    let testsDirWatcher = null;
+
+    const refreshTestsWatchers = () => {
+        if (testsDirWatcher && !fs.existsSync(testsDir)) {
+            testsDirWatcher.close();
+            testsDirWatcher = null;
+        }
+        if (testsRootWatcher && !fs.existsSync(testsRoot)) {
+            testsRootWatcher.close();
+            testsRootWatcher = null;
+        }
+        if (!testsRootWatcher && fs.existsSync(testsRoot)) {
+            testsRootWatcher = fs.watch(testsRoot, (event, changed) => {
+                if (changed === baseName && refreshTestsWatchers()) trigger();
+            });
+        }
+        // A directory that appears later may already hold cases, so the caller reruns when this returns true
+        if (!testsDirWatcher && fs.existsSync(testsDir)) {
+            testsDirWatcher = fs.watch(testsDir, (event, changed) => {
+                if (/\.(in|out)$/.test(changed || '')) trigger();
+            });
+            return true;
+        }
+        return false;
+    };
+
+    fs.watch(dir, (event, changed) => {
+        if (changed === sourceName || samplePattern.test(changed || '')) trigger();
+        if (changed === 'tests' && refreshTestsWatchers()) trigger();
+    });
+    refreshTestsWatchers();
 }
 
-function retrieveSecondsSinceLastWind(filename) {
-    if (!state.fileTimestamps[filename] || !state.fileTimestamps[filename].lastWinded) return -1;
-    const lastWinded = new Date(state.fileTimestamps[filename].lastWinded);
-    const elapsed = new Date() - lastWinded;
-    return Math.floor(elapsed / 1000);
+// Retest a file on every change until interrupted
+async function watchAndTest(filename, options) {
+    if (!await fs.pathExists(filename)) {
+        console.error(chalk.red(`File ${filename} does not exist`));
+        return;
+    }
+
+    let running = false;
+    let rerun = false;
+    const retest = async () => {
+        // Saves during a run are picked up once it finishes
+        if (running) {
+            rerun = true;
+            return;
+        }
+        running = true;
+        do {
+            rerun = false;
+            clearScreen();
+            try {
+                // Compile errors should show up on every save, even before any sample case exists
+                await testAgainstSamples(filename, { ...options, compileWithoutSamples: true });
+            } catch (error) {
+                console.error(chalk.red(`Error testing file: ${error.message}`));
+            }
+            console.log(chalk.gray(`\nWatching ${filename} for changes... (Ctrl+C to stop)`));
+        } while (rerun);
+        running = false;
+    };
+
+    watchSourceAndSamples(filename, retest);
+    await retest();
 }
 
-function getFileTimestamps(filename) {
-    return state.fileTimestamps[filename] || null;
+// Read pasted text from stdin until a line containing only ".end" (or the end of input).
+// Reads with a Windows-compatible approach.
+function readUntilEndMarker() {
+    return new Promise((resolve) => {
+        let buffer = '';
+
+        process.stdin.setEncoding('utf8');
+        if (process.stdin.isTTY) process.stdin.setRawMode(false);
+
+        const finish = () => {
+            process.stdin.removeListener('data', onData);
+            process.stdin.removeListener('end', finish);
+            process.stdin.pause();
+            const lines = buffer.split(/\r?\n/);
+            const endIndex = lines.findIndex(line => line.trim() === '.end');
+            resolve((endIndex === -1 ? lines : lines.slice(0, endIndex)).join('\n'));
+        };
+
+        const onData = (chunk) => {
+            buffer += chunk.toString();
+            if (/(^|\n)[ \t]*\.end[ \t]*(\r?\n|$)/.test(buffer)) finish();
+        };
+
+        process.stdin.on('data', onData);
+        process.stdin.on('end', finish);
+        process.stdin.resume();
+    });
 }
 
-// Read package.json for metadata
-const packageJson = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+// Read package.json for metadata, next to this script so it works from any directory
+const packageJson = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 // Set program metadata
 program
@@ -134,27 +373,102 @@ program
 program
     .command('gen <filename>')
     .description('Generate a new file based on an existing template')
-    .action(async (filename) => {
+    .option('--var <key=value>', 'set a template variable (repeatable)', collectVariable, {})
+    .option('-T, --template <name>', 'use a named template instead of the default one', validateTemplateName)
+    .action(async (filename, options) => {
         try {
             const ext = path.extname(filename);
-            const templatePath = path.join(templatesDir, `template${ext}`);
+            const generated = await api.generate(filename, { template: options.template, variables: options.var });
             
-            if (!await fs.pathExists(templatePath)) {
+            if (!generated) {
+                const templateName = options.template || getDefaultTemplateName(ext, path.dirname(path.resolve(filename)));
+                const setCommand = templateName === DEFAULT_TEMPLATE_NAME ? `nms set ${ext}` : `nms set ${ext} --name ${templateName}`;
+                console.log(chalk.yellow(`No template found for ${ext} extension. Use '${setCommand}' to create one.`));
+                return;
+            }
+            
+            const { template: templateName, cursor, unknown } = generated;
+            
+            console.log(chalk.green(`✓ Generated ${filename} from template${templateName === DEFAULT_TEMPLATE_NAME ? '' : ` ${templateName}`}`));
+            if (cursor) {
+                console.log(chalk.gray(`Cursor: line ${cursor.line}, column ${cursor.column}`));
+            }
+            if (unknown.length > 0) {
+                console.log(chalk.yellow(`Unknown template variables left as-is: ${unknown.join(', ')}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error generating file: ${error.message}`));
+        }
+    });
+
+// Contest command
+program
+    .command('contest [name]')
+    .description('Create a contest workspace with one file per problem and make it the current contest')
+    .option('-p, --problems <list>', 'problems to create, e.g. A-F or A,B,Ex', parseProblems, parseProblems('A-F'))
+    .option('-l, --lang <extension>', 'extension of the generated files', 'cpp')
+    .option('-T, --template <name>', 'use a named template instead of the default one', validateTemplateName)
+    .option('--leave', 'stop using the current contest')
+    .action(async (name, options) => {
+        try {
+            if (options.leave) {
+                if (!state.currentContest) {
+                    console.log(chalk.yellow('No contest is active.'));
+                    return;
+                }
+                console.log(chalk.green(`✓ Left contest ${state.currentContest.name}`));
+                state.currentContest = null;
+                saveState(state);
+                return;
+            }
+            
+            if (!name) {
+                if (!state.currentContest) {
+                    console.log(chalk.yellow('No contest is active. Use "nms contest <name>" to create one.'));
+                    return;
+                }
+                console.log(chalk.blue(`🏁 Current contest: ${state.currentContest.name} (${state.currentContest.dir})`));
+                return;
+            }
+            
+            const ext = normalizeExtension(options.lang);
+            const templateName = options.template || getDefaultTemplateName(ext);
+            if (!await fs.pathExists(templatePathFor(ext, templateName))) {
                 console.log(chalk.yellow(`No template found for ${ext} extension. Use 'nms set ${ext}' to create one.`));
                 return;
             }
             
-            const template = await fs.readFile(templatePath, 'utf8');
-            await fs.writeFile(filename, template);
+            const dir = path.resolve(name);
+            await fs.ensureDir(dir);
+            console.log(chalk.blue(`Creating contest ${name} in ${dir}...`));
             
-            state.lastGenerated = filename;
-            state.stats.generated++;
-            registerFileGenerated(filename);
+            const problems = {};
+            for (const problem of options.problems) {
+                const file = `${problem.toLowerCase()}${ext}`;
+                const filePath = path.join(dir, file);
+                problems[problem] = file;
+                
+                if (await fs.pathExists(filePath)) {
+                    console.log(chalk.gray(`   ${problem}: ${file} already exists, kept as-is`));
+                    continue;
+                }
+                
+                await generateFile(filePath, { templateName, variables: { contest: name, problem } });
+                
+                // Empty sample slots to paste the statement's samples into
+                const baseName = problem.toLowerCase();
+                await fs.ensureFile(path.join(dir, `${baseName}.in1`));
+                await fs.ensureFile(path.join(dir, `${baseName}.out1`));
+                
+                console.log(chalk.gray(`   ${problem}: ${file}`));
+            }
+            
+            state.currentContest = { name, dir, ext, problems };
             saveState(state);
             
-            console.log(chalk.green(`✓ Generated ${filename} from template`));
+            console.log(chalk.green(`✓ Contest ${name} is ready with ${options.problems.length} problem(s)`));
         } catch (error) {
-            console.error(chalk.red(`Error generating file: ${error.message}`));
+            console.error(chalk.red(`Error creating contest: ${error.message}`));
         }
     });
 
@@ -162,362 +476,1177 @@ program
 program
     .command('set <extension>')
     .description('Set a template file for each file extension')
-    .action(async (extension) => {
+    .option('-n, --name <name>', 'store it as a named template', validateTemplateName, DEFAULT_TEMPLATE_NAME)
+    .action(async (extension, options) => {
         try {
-            const ext = extension.startsWith('.') ? extension : `.${extension}`;
-            const templatePath = path.join(templatesDir, `template${ext}`);
+            const ext = normalizeExtension(extension);
+            const templatePath = templateTargetFor(ext, options.name);
+            const label = options.name === DEFAULT_TEMPLATE_NAME ? ext : `${ext} (${options.name})`;
 
             if (await fs.pathExists(templatePath)) {
+                // The versioned backup must not depend on a clipboard being available
+                await backupFile(templatePath);
                 try {
                     const content = await fs.readFile(templatePath, 'utf8');
                     clipboardy.writeSync(content);
-                    console.log(chalk.yellow('The existing template is copied to your clipboard. Overwriting...'));
+                    console.log(chalk.yellow('The existing template is copied to your clipboard and backed up. Overwriting...'));
                 }
                 catch (error) {
                     console.error(chalk.red(`Error copying template: ${error.message}`));
+                    console.log(chalk.yellow('The existing template is backed up. Overwriting...'));
                 }
             }
             
-            console.log(chalk.blue(`Setting template for ${ext} extension...`));
+            console.log(chalk.blue(`Setting template for ${label} extension...`));
             console.log(chalk.gray('Please paste your template code and press .end to finish:'));
             
-            // Read from stdin with Windows-compatible approach
-            let template = '';
-            
-            process.stdin.setEncoding('utf8');
-            process.stdin.setRawMode(false);
-            
-            const onData = (chunk) => {
-                const data = chunk.toString();
-                
-                // Check for double empty line (Enter twice) to end input
-                if (data.trim() === ".end") {
-                    process.stdin.removeListener('data', onData);
-                    process.stdin.pause();
-                    saveTemplate();
-                } else {
-                    template += data;
-                }
-            };
-            
-            const saveTemplate = async () => {
-                try {
-                    // Remove trailing newlines and save
-                    const cleanTemplate = template.trim();
-                    await fs.writeFile(templatePath, cleanTemplate);
-                    console.log(chalk.green(`✓ Template for ${ext} saved successfully`));
-                    process.exit(0);
-                } catch (error) {
-                    console.error(chalk.red(`Error saving template: ${error.message}`));
-                    process.exit(1);
-                }
-            };
-            
-            process.stdin.on('data', onData);
-            process.stdin.resume();
-            
             // Alternative: Listen for Ctrl+C to cancel
             process.on('SIGINT', () => {
                 console.log(chalk.yellow('\nTemplate creation cancelled.'));
                 process.exit(0);
             });
             
+            const template = await readUntilEndMarker();
+            try {
+                // Remove trailing newlines and save
+                const cleanTemplate = template.trim();
+                // A workspace's templates directory may not exist before its first template
+                await fs.outputFile(templatePath, cleanTemplate);
+                console.log(chalk.green(`✓ Template for ${label} saved successfully`));
+                process.exit(0);
+            } catch (error) {
+                console.error(chalk.red(`Error saving template: ${error.message}`));
+                process.exit(1);
+            }
         } catch (error) {
             console.error(chalk.red(`Error setting template: ${error.message}`));
         }
     });
 
-// Run command
-program
-    .command('run <filename>')
-    .description('Compiles and runs a file')
-    .action(async (filename) => {
+// Template command
+const templateCommand = program
+    .command('template')
+    .description('Manage named templates');
+
+templateCommand
+    .command('list [extension]')
+    .description('List templates grouped by extension (* marks the default)')
+    .action(async (extension) => {
         try {
-            if (!await fs.pathExists(filename)) {
-                console.error(chalk.red(`File ${filename} does not exist`));
+            const templates = await listTemplates();
+            const exts = extension ? [normalizeExtension(extension)] : Object.keys(templates).sort();
+
+            if (exts.every(ext => !templates[ext])) {
+                console.log(chalk.yellow('📋 No templates set yet. Use "nms set <extension>" to create one.'));
                 return;
             }
-            
-            state.lastRun = filename;
-            state.stats.run++;
-            saveState(state);
-            
-            const ext = path.extname(filename);
-            
-            console.log(chalk.blue(`Running ${filename}...`));
-            
-            // Handle different file types
-            switch (ext) {
-                case '.js':
-                    console.log(chalk.gray('Running JavaScript file...'));
-                    const jsResult = spawnSync(`node`, [filename], { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (jsResult.status !== 0) {
-                        console.error(chalk.red(`✗ JavaScript execution failed with exit code ${jsResult.status}`));
-                        return;
-                    }
-                    break;
-                case '.py':
-                    console.log(chalk.gray('Running Python file...'));
-                    const pyResult = spawnSync(`python`, [filename], { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (pyResult.status !== 0) {
-                        console.error(chalk.red(`✗ Python execution failed with exit code ${pyResult.status}`));
-                        return;
-                    }
-                    break;
-                case '.cpp':
-                case '.cc':
-                case '.cxx':
-                    console.log(chalk.gray('Compiling C++ file...'));
-                    const baseName = path.basename(filename, ext);
-                    const outputName = path.join(exeDir, baseName);
-                    const compileResult = spawnSync(`g++`, ['-o', outputName, filename], { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (compileResult.status !== 0) {
-                        console.error(chalk.red(`✗ Compilation failed with exit code ${compileResult.status}`));
-                        return;
-                    }
-                    
-                    console.log(chalk.gray('Running compiled file...'));
-                    const runResult = spawnSync(outputName, { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (runResult.status !== 0) {
-                        console.error(chalk.red(`✗ Program exited with code ${runResult.status}`));
-                        return;
-                    }
-                    break;
-                case '.c':
-                    console.log(chalk.gray('Compiling C file...'));
-                    const cBaseName = path.basename(filename, ext);
-                    const cOutputName = path.join(exeDir, cBaseName);
-                    const cCompileResult = spawnSync(`gcc`, ['-o', cOutputName, filename], { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (cCompileResult.status !== 0) {
-                        console.error(chalk.red(`✗ Compilation failed with exit code ${cCompileResult.status}`));
-                        return;
-                    }
-                    
-                    console.log(chalk.gray('Running compiled file...'));
-                    const cRunResult = spawnSync(cOutputName, { 
-                        stdio: 'inherit',
-                        shell: true,
-                    });
-                    
-                    if (cRunResult.status !== 0) {
-                        console.error(chalk.red(`✗ Program exited with code ${cRunResult.status}`));
-                        if (cRunResult.stderr) {
-                            console.error(chalk.red(cRunResult.stderr));
-                        }
-                        return;
-                    }
-                    
-                    // Colorize output
-                    if (cRunResult.stdout) {
-                        console.log(chalk.cyan('Output:'));
-                        console.log(chalk.white(cRunResult.stdout));
-                    }
-                    break;
-                case '.java':
-                    console.log(chalk.gray('Compiling Java file...'));
-                    const className = path.basename(filename, ext);
-                    const javaCompileResult = spawnSync(`javac`, [filename], { 
-                        stdio: 'inherit',
-                        shell: true 
-                    });
-                    
-                    if (javaCompileResult.status !== 0) {
-                        console.error(chalk.red(`✗ Compilation failed with exit code ${javaCompileResult.status}`));
-                        return;
-                    }
-                    
-                    console.log(chalk.gray('Running Java file...'));
-                    const javaRunResult = spawnSync(`java`, [className], { 
-                        stdio: 'pipe',
-                        shell: true,
-                        encoding: 'utf8'
-                    });
-                    
-                    if (javaRunResult.status !== 0) {
-                        console.error(chalk.red(`✗ Program exited with code ${javaRunResult.status}`));
-                        if (javaRunResult.stderr) {
-                            console.error(chalk.red(javaRunResult.stderr));
-                        }
-                        return;
-                    }
-                    
-                    // Colorize output
-                    if (javaRunResult.stdout) {
-                        console.log(chalk.cyan('Output:'));
-                        console.log(chalk.white(javaRunResult.stdout));
-                    }
-                    break;
-                default:
-                    console.log(chalk.yellow(`No specific test handler for ${ext} files. File exists and is ready.`));
-            }
-            
-            console.log(chalk.green(`✓ Run completed for ${filename}`));
+
+            exts.filter(ext => templates[ext]).forEach(ext => {
+                console.log(chalk.blue(ext));
+                const defaultName = getDefaultTemplateName(ext);
+                templates[ext].forEach(name => {
+                    console.log(name === defaultName ? chalk.green(`   ${name} *`) : chalk.gray(`   ${name}`));
+                });
+            });
         } catch (error) {
-            console.error(chalk.red(`Error running file: ${error.message}`));
+            console.error(chalk.red(`Error listing templates: ${error.message}`));
         }
     });
 
-// Wind command
-program
-    .command('wind')
-    .description('Copy source code of the last generated/run file using nomouse')
-    .action(async () => {
+templateCommand
+    .command('show <extension> [name]')
+    .description('Print a template')
+    .action(async (extension, name) => {
         try {
-            if (!state.lastRun && !state.lastGenerated) {
-                console.log(chalk.yellow('No file has been generated or run yet. Use "nms gen" or "nms run" first.'));
+            const ext = normalizeExtension(extension);
+            const templateName = name ? validateTemplateName(name) : getDefaultTemplateName(ext);
+            const templatePath = templatePathFor(ext, templateName);
+
+            if (!await fs.pathExists(templatePath)) {
+                console.log(chalk.yellow(`No template ${templateName} found for ${ext} extension.`));
                 return;
             }
-            
-            // Prefer last run file, fallback to last generated
-            const targetFile = state.lastRun || state.lastGenerated;
-            
-            if (!await fs.pathExists(targetFile)) {
-                console.error(chalk.red(`Last file ${targetFile} no longer exists`));
+
+            console.log(chalk.blue(`📋 ${ext} (${templateName})`));
+            console.log(await fs.readFile(templatePath, 'utf8'));
+        } catch (error) {
+            console.error(chalk.red(`Error showing template: ${error.message}`));
+        }
+    });
+
+templateCommand
+    .command('rm <extension> <name>')
+    .description('Remove a template')
+    .action(async (extension, name) => {
+        try {
+            const ext = normalizeExtension(extension);
+            const templatePath = templatePathFor(ext, validateTemplateName(name));
+
+            if (!await fs.pathExists(templatePath)) {
+                console.log(chalk.yellow(`No template ${name} found for ${ext} extension.`));
                 return;
             }
-            
-            const content = await fs.readFile(targetFile, 'utf8');
-            clipboardy.writeSync(content);
-            
-            // Calculate time since last wind BEFORE setting new timestamp
-            const sinceLastWind = retrieveSecondsSinceLastWind(targetFile);
-            
-            // Register the winded timestamp
-            registerFileWinded(targetFile);
-            
-            console.log(chalk.green(`✓ Copied ${targetFile} content to clipboard`));
-            console.log(chalk.gray(`File: ${targetFile}`));
-            console.log(chalk.gray(`Total time spent: ${retrieveSecondsSpent(targetFile)} seconds`));
 
-            if(sinceLastWind >= 0) console.log(chalk.gray(`Since last wind: ${sinceLastWind} seconds`));
+            await backupFile(templatePath);
+            await fs.remove(templatePath);
+            if (state.defaultTemplates && state.defaultTemplates[ext] === name) {
+                delete state.defaultTemplates[ext];
+                saveState(state);
+            }
+
+            console.log(chalk.green(`✓ Removed template ${name} for ${ext}`));
+            console.log(chalk.gray(`Restore it with "nms template rollback ${ext} ${name}"`));
         } catch (error) {
-            console.error(chalk.red(`Error copying file: ${error.message}`));
+            console.error(chalk.red(`Error removing template: ${error.message}`));
         }
     });
 
-// Status command
-program
-    .command('status')
-    .description('Show current CLI status and statistics')
-    .action(async () => {
+templateCommand
+    .command('rename <extension> <name> <newName>')
+    .description('Rename a template')
+    .action(async (extension, name, newName) => {
         try {
-            console.log(chalk.blue('📊 Nomouse CLI Status'));
-            console.log(chalk.gray('─'.repeat(40)));
-            
-            if (state.lastGenerated) {
-                console.log(chalk.green(`📁 Last Generated: ${state.lastGenerated}`));
-            } else {
-                console.log(chalk.yellow('📁 Last Generated: None'));
+            const ext = normalizeExtension(extension);
+            const templatePath = templatePathFor(ext, validateTemplateName(name));
+            // Renamed templates stay in the directory they were found in
+            const newTemplatePath = path.join(path.dirname(templatePath), templateFileName(ext, validateTemplateName(newName)));
+
+            if (!await fs.pathExists(templatePath)) {
+                console.log(chalk.yellow(`No template ${name} found for ${ext} extension.`));
+                return;
             }
-            
-            if (state.lastRun) {
-                console.log(chalk.green(`▶️  Last Run: ${state.lastRun}`));
-            } else {
-                console.log(chalk.yellow('▶️  Last Run: None'));
+            if (await fs.pathExists(newTemplatePath)) {
+                console.log(chalk.yellow(`Template ${newName} already exists for ${ext} extension.`));
+                return;
             }
-            
-            console.log(chalk.blue(`📈 Statistics:`));
-            console.log(chalk.gray(`   Generated: ${state.stats.generated} files`));
-            console.log(chalk.gray(`   Run: ${state.stats.run} files`));
-            console.log(chalk.gray(`   Tracked: ${Object.keys(state.fileTimestamps).length} files`));
-            
-            // Show available templates
-            const templates = await fs.readdir(templatesDir);
-            if (templates.length > 0) {
-                console.log(chalk.blue(`📋 Available Templates:`));
-                templates.forEach(template => {
-                    const ext = template.replace('template', '');
-                    console.log(chalk.gray(`   ${ext}`));
-                });
-            } else {
-                console.log(chalk.yellow('📋 No templates set yet. Use "nms set <extension>" to create one.'));
+
+            await fs.ensureDir(path.dirname(newTemplatePath));
+            await fs.move(templatePath, newTemplatePath);
+            if (state.defaultTemplates && state.defaultTemplates[ext] === name) {
+                state.defaultTemplates[ext] = newName;
+                saveState(state);
             }
-            
-            console.log(chalk.gray('─'.repeat(40)));
+
+            console.log(chalk.green(`✓ Renamed template ${name} to ${newName} for ${ext}`));
         } catch (error) {
-            console.error(chalk.red(`Error showing status: ${error.message}`));
+            console.error(chalk.red(`Error renaming template: ${error.message}`));
         }
     });
 
-program
-    .command('pause')
-    .description('pause the timer running on the file indicated')
-    .action(async () => {
+templateCommand
+    .command('default <extension> <name>')
+    .description('Choose the template gen uses for an extension')
+    .action(async (extension, name) => {
         try {
-            if (!state.lastRun && !state.lastGenerated) {
-                console.log(chalk.yellow('No file has been generated or run yet. Use "nms gen" or "nms run" first.'));
+            const ext = normalizeExtension(extension);
+
+            if (!await fs.pathExists(templatePathFor(ext, validateTemplateName(name)))) {
+                console.log(chalk.yellow(`No template ${name} found for ${ext} extension.`));
                 return;
             }
-        }
-        catch (error) {
-            console.error(chalk.red(`Error pausing timer: ${error.message}`));
-        }
 
-        const targetFile = state.lastRun || state.lastGenerated;
+            state.defaultTemplates = state.defaultTemplates || {};
+            state.defaultTemplates[ext] = name;
+            saveState(state);
 
-        if (!await fs.pathExists(targetFile)) {
-            console.error(chalk.red(`Last file ${targetFile} no longer exists`));
-            return;
+            console.log(chalk.green(`✓ ${name} is now the default template for ${ext}`));
+        } catch (error) {
+            console.error(chalk.red(`Error setting default template: ${error.message}`));
         }
-
-        pauseTimer(targetFile); 
-
-        console.log(chalk.green(`✓ Paused timer for ${targetFile}`));
     });
 
-program
-    .command('resume')
-    .description('resume the timer running on the file indicated')
-    .action(async () => {
+templateCommand
+    .command('history <extension> [name]')
+    .description('List the earlier versions of a template kept by set, rm, import and rollback')
+    .action(async (extension, name) => {
         try {
-            if (!state.lastRun && !state.lastGenerated) {
-                console.log(chalk.yellow('No file has been generated or run yet. Use "nms gen" or "nms run" first.'));
+            const ext = normalizeExtension(extension);
+            const templateName = name ? validateTemplateName(name) : getDefaultTemplateName(ext);
+            const backups = await listBackups(templatePathFor(ext, templateName));
+
+            if (backups.length === 0) {
+                console.log(chalk.yellow(`No earlier versions of template ${templateName} for ${ext}.`));
                 return;
             }
+
+            console.log(chalk.blue(`🕘 ${ext} (${templateName})`));
+            backups.forEach(backup => {
+                console.log(chalk.gray(`   v${backup.version}  ${backup.date.toLocaleString()} (${getTimeAgo(backup.date)})`));
+            });
+            console.log(chalk.gray(`Restore one with "nms template rollback ${ext} ${templateName} --to <n>"`));
+        } catch (error) {
+            console.error(chalk.red(`Error listing template history: ${error.message}`));
         }
-        catch (error) {
-            console.error(chalk.red(`Error resuming timer: ${error.message}`));
-        }
+    });
 
-        const targetFile = state.lastRun || state.lastGenerated;
+templateCommand
+    .command('rollback <extension> [name]')
+    .description('Restore an earlier version of a template (the current one is backed up first)')
+    .option('--to <n>', 'version shown by "nms template history" (1 is the latest)', (value) => parseInt(value, 10), 1)
+    .action(async (extension, name, options) => {
+        try {
+            const ext = normalizeExtension(extension);
+            const templateName = name ? validateTemplateName(name) : getDefaultTemplateName(ext);
+            const restored = await restoreBackup(templatePathFor(ext, templateName), options.to);
 
-        if (!await fs.pathExists(targetFile)) {
-            console.error(chalk.red(`Last file ${targetFile} no longer exists`));
-            return;
-        }
+            if (!restored) {
+                console.log(chalk.yellow(`No version ${options.to} of template ${templateName} for ${ext}. See "nms template history ${ext} ${templateName}".`));
+                return;
+            }
 
-        const elapsed = resumeTimer(targetFile);
-        if(elapsed === -1) {
-            console.log(chalk.yellow('Timer is already running'));
-            return;
+            console.log(chalk.green(`✓ Restored template ${templateName} for ${ext} from ${restored.date.toLocaleString()}`));
+        } catch (error) {
+            console.error(chalk.red(`Error rolling back template: ${error.message}`));
         }
-        if(elapsed === 0) {
-            console.log(chalk.yellow('No file has been active yet'));
-            return;
+    });
+
+// Export command
+program
+    .command('export <file>')
+    .description('Pack the templates, snippets, languages and template variables into a JSON bundle')
+    .action(async (file) => {
+        try {
+            const bundle = await createBundle();
+            await fs.writeJson(file, bundle, { spaces: 2 });
+
+            const countNamed = (grouped) => Object.values(grouped).reduce((count, named) => count + Object.keys(named).length, 0);
+            console.log(chalk.green(`✓ Exported ${countNamed(bundle.templates)} template(s), ${countNamed(bundle.snippets)} snippet(s), ${Object.keys(bundle.languages).length} language(s) and ${Object.keys(bundle.variables).length} variable(s) to ${file}`));
+        } catch (error) {
+            console.error(chalk.red(`Error exporting settings: ${error.message}`));
         }
+    });
 
-        console.log(chalk.green(`✓ Resumed timer for ${targetFile}`));
-        console.log(chalk.gray(`Elapsed time: ${elapsed} seconds`));
+// Import command
+program
+    .command('import <file>')
+    .description('Import a bundle made by export, keeping local versions of conflicting entries unless --overwrite is given')
+    .option('-o, --overwrite', 'replace conflicting entries with the bundle\'s (earlier versions are backed up)')
+    .option('-n, --dry-run', 'only show what would change')
+    .action(async (file, options) => {
+        try {
+            const bundle = await readBundle(file);
+            const plan = await planImport(bundle);
+
+            console.log(chalk.blue(`📦 Importing ${file}${bundle.exportedAt ? ` (exported ${getTimeAgo(new Date(bundle.exportedAt))})` : ''}`));
+            plan.filter(entry => entry.status !== 'unchanged').forEach(entry => {
+                if (entry.status === 'new') {
+                    console.log(chalk.green(`   + ${entry.kind} ${entry.label}`));
+                    return;
+                }
+                const action = options.overwrite ? 'replaced by the bundle' : 'local version kept';
+                console.log(chalk.yellow(`   ~ ${entry.kind} ${entry.label} differs (${action}):`));
+                printDiff(diffLines(entry.current, entry.incoming));
+            });
+
+            if (options.dryRun) {
+                console.log(chalk.gray('Dry run, nothing was changed.'));
+                return;
+            }
+
+            const counts = await applyImport(plan, { overwrite: options.overwrite });
+            console.log(chalk.green(`✓ Added ${counts.added}, replaced ${counts.replaced}, kept ${counts.kept} local, ${counts.unchanged} unchanged`));
+            if (counts.kept > 0) {
+                console.log(chalk.gray('Run again with --overwrite to take the bundle\'s versions.'));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error importing settings: ${error.message}`));
+        }
+    });
+
+// Snippet command
+const snipCommand = program
+    .command('snip')
+    .description('Manage code snippets that can be inserted into solutions');
+
+// Snippet language from --lang, or from the file the command works on
+function snippetExtension(lang, filename) {
+    if (lang) return normalizeExtension(lang);
+    return filename ? path.extname(filename) : null;
+}
+
+snipCommand
+    .command('add <name>')
+    .description('Store a snippet pasted from stdin (end with .end)')
+    .option('-l, --lang <extension>', 'language of the snippet (default: that of the last generated file)')
+    .option('-t, --tags <tags>', 'comma-separated tags, e.g. graph,shortest-path', (value) => value.split(',').map(tag => tag.trim()).filter(Boolean), [])
+    .action(async (name, options) => {
+        try {
+            const ext = snippetExtension(options.lang, state.lastGenerated);
+            if (!ext) {
+                console.log(chalk.yellow('Pass the language of the snippet with --lang, e.g. --lang cpp.'));
+                return;
+            }
+            validateSnippetName(name);
+
+            if (await fs.pathExists(snippetPathFor(ext, name))) {
+                console.log(chalk.yellow(`Snippet ${name}${ext} already exists and will be backed up. Overwriting...`));
+            }
+            console.log(chalk.blue(`Adding snippet ${name}${ext}...`));
+            console.log(chalk.gray('Please paste your snippet and press .end to finish:'));
+
+            process.on('SIGINT', () => {
+                console.log(chalk.yellow('\nSnippet creation cancelled.'));
+                process.exit(0);
+            });
+
+            const snippet = (await readUntilEndMarker()).trim();
+            if (!snippet) {
+                console.log(chalk.yellow('Empty snippet, nothing was saved.'));
+                process.exit(0);
+            }
+            await saveSnippet(name, ext, snippet, options.tags);
+            console.log(chalk.green(`✓ Snippet ${name}${ext} saved${options.tags.length > 0 ? ` with tags ${options.tags.join(', ')}` : ''}`));
+            process.exit(0);
+        } catch (error) {
+            console.error(chalk.red(`Error adding snippet: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+snipCommand
+    .command('list')
+    .description('List snippets with their language and tags')
+    .option('-l, --lang <extension>', 'only list snippets of this language')
+    .option('-t, --tag <tag>', 'only list snippets with this tag')
+    .action(async (options) => {
+        try {
+            const ext = snippetExtension(options.lang, null);
+            const snippets = (await listSnippets())
+                .filter(snippet => !ext || snippet.ext === ext)
+                .filter(snippet => !options.tag || snippet.tags.includes(options.tag));
+
+            if (snippets.length === 0) {
+                console.log(chalk.yellow('No snippets found. Use "nms snip add <name>" to store one.'));
+                return;
+            }
+
+            const nameWidth = Math.max(...snippets.map(snippet => snippet.name.length));
+            console.log(chalk.blue('✂️  Snippets:'));
+            snippets.forEach(snippet => {
+                const tags = snippet.tags.length > 0 ? `  [${snippet.tags.join(', ')}]` : '';
+                console.log(chalk.gray(`   ${snippet.name.padEnd(nameWidth)}  ${snippet.ext}${tags}`));
+            });
+        } catch (error) {
+            console.error(chalk.red(`Error listing snippets: ${error.message}`));
+        }
+    });
+
+snipCommand
+    .command('show <name>')
+    .description('Print a snippet')
+    .option('-l, --lang <extension>', 'language of the snippet when several share the name')
+    .action(async (name, options) => {
+        try {
+            const snippet = await readSnippet(name, snippetExtension(options.lang, null));
+            if (!snippet) {
+                console.log(chalk.yellow(`No snippet ${name} found.`));
+                return;
+            }
+            console.log(chalk.blue(`✂️  ${snippet.name}${snippet.ext}`));
+            console.log(snippet.content);
+        } catch (error) {
+            console.error(chalk.red(`Error showing snippet: ${error.message}`));
+        }
+    });
+
+snipCommand
+    .command('rm <name>')
+    .description('Remove a snippet')
+    .option('-l, --lang <extension>', 'language of the snippet when several share the name')
+    .action(async (name, options) => {
+        try {
+            const snippet = await readSnippet(name, snippetExtension(options.lang, null));
+            if (!snippet) {
+                console.log(chalk.yellow(`No snippet ${name} found.`));
+                return;
+            }
+            await removeSnippet(snippet.name, snippet.ext);
+            console.log(chalk.green(`✓ Removed snippet ${snippet.name}${snippet.ext}`));
+        } catch (error) {
+            console.error(chalk.red(`Error removing snippet: ${error.message}`));
+        }
+    });
+
+snipCommand
+    .command('insert <name> [file]')
+    .description(`Insert a snippet at the ${SNIPPET_MARKER} marker of a file (default: the last generated file), or copy it to the clipboard`)
+    .option('-l, --lang <extension>', 'language of the snippet (default: that of the file)')
+    .option('-c, --copy', 'copy the snippet to the clipboard instead of editing the file')
+    .action(async (name, file, options) => {
+        try {
+            const targetFile = file || state.lastGenerated;
+            const snippet = await readSnippet(name, snippetExtension(options.lang, targetFile));
+            if (!snippet) {
+                console.log(chalk.yellow(`No snippet ${name} found${targetFile ? ` for ${path.extname(targetFile)} files` : ''}. See "nms snip list".`));
+                return;
+            }
+
+            if (options.copy || !targetFile) {
+                clipboardy.writeSync(snippet.content);
+                console.log(chalk.green(`✓ Copied snippet ${snippet.name}${snippet.ext} to clipboard`));
+                return;
+            }
+            if (!await fs.pathExists(targetFile)) {
+                console.error(chalk.red(`File ${targetFile} does not exist`));
+                return;
+            }
+
+            const result = insertSnippet(await fs.readFile(targetFile, 'utf8'), snippet.content);
+            if (result.status === 'present') {
+                console.log(chalk.yellow(`${snippet.name} is already in ${displayPath(targetFile)}, skipped.`));
+            } else if (result.status === 'no-marker') {
+                clipboardy.writeSync(snippet.content);
+                console.log(chalk.yellow(`No ${SNIPPET_MARKER} marker in ${displayPath(targetFile)}; copied snippet ${snippet.name}${snippet.ext} to clipboard instead.`));
+            } else {
+                await fs.writeFile(targetFile, result.content);
+                console.log(chalk.green(`✓ Inserted snippet ${snippet.name}${snippet.ext} into ${displayPath(targetFile)}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error inserting snippet: ${error.message}`));
+        }
+    });
+
+// Run command
+program
+    .command('run <filename>')
+    .description('Compiles and runs a file')
+    .option('-g, --debug', 'build C/C++ with sanitizers and debug checks (-g -fsanitize=address,undefined -D_GLIBCXX_DEBUG)')
+    .option('-t, --time-limit <duration>', 'kill the program after this wall time (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'refuse allocations above this memory (e.g. 256m, 1g)', parseMemory)
+    .action(async (filename, options) => {
+        try {
+            if (!await fs.pathExists(filename)) {
+                console.error(chalk.red(`File ${filename} does not exist`));
+                return;
+            }
+            
+            console.log(chalk.blue(`Running ${filename}...`));
+            
+            const runResult = await api.run(filename, {
+                debug: options.debug,
+                timeLimit: options.timeLimit,
+                memoryLimit: options.memoryLimit,
+                onProgress: printProgress,
+                onCompile: printCompileResult
+            });
+            if (runResult.verdict === 'CE') return;
+            
+            const { limits } = runResult;
+            if (runResult.verdict === 'TLE') {
+                console.error(chalk.red(`✗ Time limit exceeded (${limits.timeLimit} ms)`));
+            } else if (runResult.verdict === 'MLE') {
+                console.error(chalk.red(`✗ Memory limit exceeded (${limits.memoryLimit} MB)`));
+            } else if (runResult.verdict === 'RE') {
+                console.error(chalk.red(`✗ Program ended with ${describeExit(runResult.status, runResult.signal)}`));
+                if (runResult.stderr) {
+                    console.error(chalk.red(runResult.stderr));
+                }
+                // Without captured output, a refused allocation cannot be told apart from other crashes
+                if (limits.memoryLimit) {
+                    console.error(chalk.gray(`   Allocations above the ${limits.memoryLimit} MB memory limit fail, which can also end a program this way`));
+                }
+            }
+            console.log(chalk.gray(`Usage: ${formatUsage(runResult)}`));
+            if (runResult.verdict) return;
+            
+            console.log(chalk.green(`✓ Run completed for ${filename}`));
+        } catch (error) {
+            console.error(chalk.red(`Error running file: ${error.message}`));
+        }
+    });
+
+// Test command
+addJudgeOptions(program
+    .command('test <filename>')
+    .description('Compiles a file and checks it against its sample cases')
+    .option('-g, --debug', 'build C/C++ with sanitizers and debug checks (-g -fsanitize=address,undefined -D_GLIBCXX_DEBUG)')
+    .option('-t, --time-limit <duration>', 'time limit per case (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit per case (e.g. 256m, 1g)', parseMemory)
+    .option('-w, --watch', 'retest whenever the file or its sample cases change'))
+    .action(async (filename, options) => {
+        try {
+            if (options.watch) {
+                await watchAndTest(filename, options);
+                return;
+            }
+            await testAgainstSamples(filename, options);
+        } catch (error) {
+            console.error(chalk.red(`Error testing file: ${error.message}`));
+        }
+    });
+
+// Watch command
+addJudgeOptions(program
+    .command('watch <filename>')
+    .description('Recompile and rerun the sample cases of a file every time it is saved')
+    .option('-g, --debug', 'build C/C++ with sanitizers and debug checks (-g -fsanitize=address,undefined -D_GLIBCXX_DEBUG)')
+    .option('-t, --time-limit <duration>', 'time limit per case (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit per case (e.g. 256m, 1g)', parseMemory))
+    .action(async (filename, options) => {
+        try {
+            await watchAndTest(filename, options);
+        } catch (error) {
+            console.error(chalk.red(`Error watching file: ${error.message}`));
+        }
+    });
+
+// Interact command
+program
+    .command('interact <solution> <interactor>')
+    .description('Run a solution against an interactor, each reading the other\'s output')
+    .option('-t, --time-limit <duration>', 'time limit for the whole exchange (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit for the solution (e.g. 256m, 1g)', parseMemory)
+    .option('-i, --input <file>', 'test file passed to the interactor as: interactor <input> <output>')
+    .option('-o, --transcript <file>', 'write the exchange to a file (> solution, < interactor)')
+    .action(async (solution, interactor, options) => {
+        try {
+            console.log(chalk.blue(`Running ${solution} with interactor ${interactor}...`));
+            
+            const result = await api.interact(solution, interactor, {
+                input: options.input,
+                timeLimit: options.timeLimit,
+                memoryLimit: options.memoryLimit,
+                transcript: Boolean(options.transcript),
+                onProgress: printProgress,
+                onCompile: printCompileResult,
+                onStart: ({ limits }) => console.log(chalk.gray(`Limits: ${formatLimits(limits)}`))
+            });
+            if (result.verdict === 'CE') return;
+            
+            if (options.transcript) {
+                await fs.writeFile(options.transcript, result.transcript);
+            }
+            
+            const usage = chalk.gray(`(${formatUsage(result)})`);
+            if (result.verdict === 'AC') {
+                console.log(`${chalk.green('AC')} ${usage}`);
+            } else if (result.verdict === 'RE') {
+                console.log(`${chalk.magenta(`RE (${describeExit(result.exits.solution.status, result.exits.solution.signal)})`)} ${usage}`);
+            } else if (result.verdict === 'FAIL') {
+                const { status } = result.exits.interactor;
+                const detail = Number.isInteger(status) && status >= 0 ? ` (interactor exit code ${status})` : '';
+                console.log(`${chalk.red(`FAIL${detail}`)} ${usage}`);
+            } else {
+                console.log(`${chalk.red(result.verdict)} ${usage}`);
+            }
+            if (result.interactorStderr.trim()) {
+                console.log(chalk.gray(`   Interactor: ${result.interactorStderr.trim()}`));
+            }
+            if (options.transcript) {
+                console.log(chalk.gray(`Transcript: ${options.transcript}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error running interaction: ${error.message}`));
+        }
+    });
+
+// Samples command
+program
+    .command('samples <filename>')
+    .description('Import sample cases from a problem statement pasted into stdin or saved as HTML')
+    .option('--html <file>', 'read a problem page saved as HTML instead of stdin')
+    .action(async (filename, options) => {
+        try {
+            let samples;
+            if (options.html) {
+                if (!await fs.pathExists(options.html)) {
+                    console.error(chalk.red(`File ${options.html} does not exist`));
+                    return;
+                }
+                samples = parseSamplesFromHtml(await fs.readFile(options.html, 'utf8'));
+            } else {
+                console.log(chalk.blue(`Importing sample cases for ${filename}...`));
+                console.log(chalk.gray('Please paste the problem statement and press .end to finish:'));
+                samples = parseSamplesFromText(await readUntilEndMarker());
+            }
+            
+            const complete = [...samples.entries()]
+                .filter(([, sample]) => sample.input !== undefined && sample.output !== undefined)
+                .sort(([a], [b]) => a - b);
+            
+            if (complete.length === 0) {
+                console.log(chalk.yellow('No sample input/output pairs found.'));
+                return;
+            }
+            
+            const dir = path.dirname(filename);
+            const baseName = path.basename(filename, path.extname(filename));
+            for (const [number, sample] of complete) {
+                await fs.writeFile(path.join(dir, `${baseName}.in${number}`), sample.input);
+                await fs.writeFile(path.join(dir, `${baseName}.out${number}`), sample.output);
+                console.log(chalk.gray(`   ${baseName}.in${number} / ${baseName}.out${number}`));
+            }
+            
+            console.log(chalk.green(`✓ Imported ${complete.length} sample case(s) for ${filename}`));
+            process.exit(0);
+        } catch (error) {
+            console.error(chalk.red(`Error importing samples: ${error.message}`));
+        }
+    });
+
+// Stress command
+addJudgeOptions(program
+    .command('stress <solution> <brute> <generator>')
+    .description('Compare a solution against a brute force on generated inputs until they disagree')
+    .option('-n, --iterations <count>', 'stop after this many inputs (default: 1000, unlimited with --time-budget)', parseCount)
+    .option('-b, --time-budget <duration>', 'stop after this much time (e.g. 60s)', parseDuration)
+    .option('-s, --seed <seed>', 'first seed passed to the generator', parseSeed, 1)
+    .option('-t, --time-limit <duration>', 'time limit for the solution (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit for the solution (e.g. 256m, 1g)', parseMemory))
+    .action(async (solution, brute, generator, options) => {
+        try {
+            console.log(chalk.blue(`Stress testing ${solution} against ${brute} with ${generator}...`));
+            
+            const report = await api.stress(solution, brute, generator, {
+                ...options,
+                onProgress: printProgress,
+                onCompile: printCompileResult,
+                onStart: ({ limits, helperLimits, judge }) => {
+                    console.log(chalk.gray(`Limits: ${formatLimits(limits)} (generator and brute force: ${helperLimits.timeLimit} ms)`));
+                    console.log(chalk.gray(`Comparison: ${formatJudge(judge)}`));
+                },
+                onIteration: ({ iteration, seed }) => {
+                    if (process.stdout.isTTY) {
+                        process.stdout.write(chalk.gray(`\rIteration ${iteration} (seed ${seed}) OK`));
+                    }
+                }
+            });
+            if (report.verdict === 'CE') return;
+            
+            // Progress is redrawn on one line, so finish that line before printing results
+            const newline = process.stdout.isTTY && report.iterations > 0 ? '\n' : '';
+            const { failure } = report;
+            if (report.verdict === 'AC') {
+                console.log(chalk.green(`${newline}✓ ${report.iterations} input(s) passed in ${Math.round(report.elapsed / 1000)} seconds`));
+            } else if (failure.program !== 'solution') {
+                const name = failure.program === 'generator' ? 'Generator' : 'Brute force';
+                const reason = failure.verdict === 'TLE' ? `exceeded its ${report.helperLimits.timeLimit} ms time limit` : describeExit(failure.status, failure.signal);
+                console.error(chalk.red(`${newline}✗ ${name} failed on seed ${failure.seed}: ${reason}`));
+                if (failure.stderr) console.error(chalk.red(failure.stderr));
+            } else {
+                const what = failure.verdict === 'FAIL' ? 'Checker failed' : failure.verdict;
+                console.log(chalk.red(`${newline}✗ ${what} on iteration ${failure.iteration} (seed ${failure.seed})`));
+                if (failure.mismatch) {
+                    printMismatch(failure.mismatch);
+                } else {
+                    if (failure.verdict === 'RE') console.log(chalk.gray(`   ${describeExit(failure.status, failure.signal)}`));
+                    printProgramErrors(failure.stderr, solution);
+                }
+                console.log(chalk.gray(`Input:           ${failure.casePath}.in`));
+                console.log(chalk.gray(`Brute output:    ${failure.casePath}.out`));
+                console.log(chalk.gray(`Solution output: ${failure.casePath}.actual`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error stress testing: ${error.message}`));
+        }
+    });
+
+// Bench command
+program
+    .command('bench <solution> <generator>')
+    .description('Time a solution on generated inputs of growing size and estimate its complexity')
+    .requiredOption('--sizes <sizes>', 'comma-separated input sizes passed to the generator (e.g. 1e3,1e4,1e5,2e5)', parseSizes)
+    .option('-r, --repeat <count>', 'runs per size, each on a new input', parseCount, 5)
+    .option('-s, --seed <seed>', 'first seed passed to the generator', parseSeed, 1)
+    .option('-t, --time-limit <duration>', 'time limit for the solution (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit for the solution (e.g. 256m, 1g)', parseMemory)
+    .action(async (solution, generator, options) => {
+        try {
+            console.log(chalk.blue(`Benchmarking ${solution} with ${generator} (${Math.max(1, options.repeat || 1)} run(s) per size)...`));
+            
+            const report = await api.bench(solution, generator, {
+                ...options,
+                onProgress: printProgress,
+                onCompile: printCompileResult,
+                onStart: ({ limits, helperLimits, baseline }) => {
+                    console.log(chalk.gray(`Limits: ${formatLimits(limits)} (generator: ${helperLimits.timeLimit} ms)`));
+                    if (baseline !== null) {
+                        console.log(chalk.gray(`Startup: ${baseline} ms (n = ${STARTUP_SIZE}), left out of the growth estimate`));
+                    }
+                    console.log(chalk.blue(`${'n'.padStart(10)}  ${'median'.padStart(10)}  ${'max'.padStart(10)}`));
+                },
+                onSize: (row) => {
+                    const line = `${String(row.size).padStart(10)}  ${`${row.median} ms`.padStart(10)}  ${`${row.max} ms`.padStart(10)}`;
+                    if (row.failure) {
+                        console.log(chalk.red(`${line}  ✗ ${row.failure.verdict} (seed ${row.failure.seed})`));
+                        if (row.failure.verdict === 'RE') {
+                            console.log(chalk.gray(`   ${describeExit(row.failure.status, row.failure.signal)}`));
+                            printProgramErrors(row.failure.stderr, solution);
+                        }
+                    } else if (row.share >= CLOSE_TO_LIMIT_RATIO) {
+                        console.log(chalk.yellow(`${line}  ⚠ ${Math.round(row.share * 100)}% of the time limit`));
+                    } else {
+                        console.log(chalk.gray(line));
+                    }
+                }
+            });
+            
+            const { failure, limits } = report;
+            if (report.verdict === 'CE') return;
+            if (failure && failure.program === 'generator') {
+                const reason = failure.verdict === 'TLE' ? `exceeded its ${report.helperLimits.timeLimit} ms time limit` : describeExit(failure.status, failure.signal);
+                console.error(chalk.red(`✗ Generator failed for n = ${failure.size} (seed ${failure.seed}): ${reason}`));
+                if (failure.stderr) console.error(chalk.red(failure.stderr));
+                return;
+            }
+            if (failure && report.rows.length < options.sizes.length) {
+                console.log(chalk.gray('Skipped the larger sizes.'));
+            }
+            
+            if (report.growth) {
+                console.log(chalk.blue(`📈 Looks like ${report.growth.model} (time grows like n^${report.growth.exponent.toFixed(2)} over ${report.growth.points} size(s))`));
+            } else if (report.rows.some(row => !row.failure)) {
+                console.log(chalk.gray(`Too fast to estimate the growth; try larger sizes (runs under ${MIN_MEASURABLE_MS} ms after startup are not used).`));
+            }
+            if (report.risky.length > 0) {
+                console.log(chalk.yellow(`⚠ n = ${report.risky.join(', ')} took at least ${Math.round(CLOSE_TO_LIMIT_RATIO * 100)}% of the ${limits.timeLimit} ms time limit`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error benchmarking: ${error.message}`));
+        }
+    });
+
+// Limit command
+program
+    .command('limit [filename]')
+    .description('Show or store default time, memory and source size limits, globally or for one file')
+    .option('-t, --time-limit <duration>', 'time limit (e.g. 2s, 500ms)', parseDuration)
+    .option('-m, --memory-limit <size>', 'memory limit (e.g. 256m, 1g)', parseMemory)
+    .option('-s, --size-limit <size>', 'submission source size limit checked by wind (e.g. 64k)', parseSourceSize)
+    .option('--reset', 'remove the stored limits')
+    .action(async (filename, options) => {
+        try {
+            // Per-file limits are kept in the state of the workspace the file belongs to
+            const limitState = filename ? contextOfFile(filename).state : state;
+            limitState.limits = limitState.limits || {};
+            limitState.fileLimits = limitState.fileLimits || {};
+            const scope = filename ? filename : 'all files';
+            // Per-file limits are keyed by absolute path so they apply from any directory
+            const fileKey = filename ? path.resolve(filename) : null;
+            
+            if (options.reset) {
+                if (filename) {
+                    delete limitState.fileLimits[fileKey];
+                    delete limitState.fileLimits[filename];
+                } else {
+                    limitState.limits = {};
+                }
+                saveState(limitState);
+                console.log(chalk.green(`✓ Cleared stored limits for ${scope}`));
+                return;
+            }
+            
+            if (options.timeLimit === undefined && options.memoryLimit === undefined && options.sizeLimit === undefined) {
+                const limits = resolveLimits(filename, {}, DEFAULT_LIMITS);
+                console.log(chalk.blue(`Limits for ${scope}: ${formatLimits(limits)}`));
+                return;
+            }
+            
+            const stored = filename ? (limitState.fileLimits[fileKey] = limitState.fileLimits[fileKey] || {}) : limitState.limits;
+            if (options.timeLimit !== undefined) stored.timeLimit = options.timeLimit;
+            if (options.memoryLimit !== undefined) stored.memoryLimit = options.memoryLimit;
+            if (options.sizeLimit !== undefined) stored.sizeLimit = options.sizeLimit;
+            saveState(limitState);
+            
+            console.log(chalk.green(`✓ Limits for ${scope} set to ${formatLimits(resolveLimits(filename, {}, DEFAULT_LIMITS))}`));
+        } catch (error) {
+            console.error(chalk.red(`Error setting limits: ${error.message}`));
+        }
+    });
+
+// Language command
+const langCommand = program
+    .command('lang')
+    .description('Manage the compile and run commands used for each file extension');
+
+langCommand
+    .command('list')
+    .description('List the configured languages')
+    .action(async () => {
+        try {
+            const languages = loadLanguages();
+            console.log(chalk.blue(`🛠  Languages (${languagesFile})`));
+            console.log(chalk.gray('─'.repeat(40)));
+            Object.entries(languages).forEach(([ext, language]) => {
+                console.log(chalk.green(`${ext} ${language.name || ''}`));
+                if (language.compile) console.log(chalk.gray(`   compile: ${language.compile}`));
+                console.log(chalk.gray(`   run:     ${language.run}`));
+            });
+            if (workspace && Object.keys(workspace.languages).length > 0) {
+                console.log(chalk.gray(`Overridden by ${workspace.file}: ${Object.keys(workspace.languages).join(' ')}`));
+            }
+            console.log(chalk.gray('─'.repeat(40)));
+            console.log(chalk.gray('Placeholders: {source} {dir} {classname} {output} {outdir}'));
+        } catch (error) {
+            console.error(chalk.red(`Error listing languages: ${error.message}`));
+        }
+    });
+
+langCommand
+    .command('add <extension>')
+    .description('Register a language for an extension')
+    .requiredOption('-r, --run <command>', 'command that runs the program, e.g. "{output}"')
+    .option('-c, --compile <command>', 'command that compiles the source, e.g. "rustc -O -o {output} {source}"')
+    .option('-n, --name <name>', 'display name of the language')
+    .action(async (extension, options) => {
+        try {
+            const ext = normalizeExtension(extension);
+            // Entries from .nomousrc are not written back to languages.json
+            const languages = loadLanguages({ includeWorkspace: false });
+
+            if (languages[ext]) {
+                console.log(chalk.yellow(`${ext} is already registered. Use 'nms lang edit ${ext}' to change it.`));
+                return;
+            }
+
+            languages[ext] = { name: options.name || ext.slice(1), run: options.run };
+            if (options.compile) languages[ext].compile = options.compile;
+            saveLanguages(languages);
+
+            console.log(chalk.green(`✓ Registered ${ext} language`));
+        } catch (error) {
+            console.error(chalk.red(`Error adding language: ${error.message}`));
+        }
+    });
+
+langCommand
+    .command('edit <extension>')
+    .description('Change the commands of a registered language')
+    .option('-r, --run <command>', 'command that runs the program')
+    .option('-c, --compile <command>', 'command that compiles the source ("" to run without compiling)')
+    .option('-n, --name <name>', 'display name of the language')
+    .action(async (extension, options) => {
+        try {
+            const ext = normalizeExtension(extension);
+            // Entries from .nomousrc are not written back to languages.json
+            const languages = loadLanguages({ includeWorkspace: false });
+
+            if (!languages[ext]) {
+                console.log(chalk.yellow(`${ext} is not registered. Use 'nms lang add ${ext}' to register it.`));
+                return;
+            }
+            if (options.run === undefined && options.compile === undefined && options.name === undefined) {
+                console.log(chalk.yellow('Nothing to change. Pass --run, --compile or --name.'));
+                return;
+            }
+
+            const language = { ...languages[ext] };
+            if (options.name !== undefined) language.name = options.name;
+            if (options.run !== undefined) language.run = options.run;
+            if (options.compile) {
+                language.compile = options.compile;
+            } else if (options.compile !== undefined) {
+                delete language.compile;
+            }
+            languages[ext] = language;
+            saveLanguages(languages);
+
+            console.log(chalk.green(`✓ Updated ${ext} language`));
+        } catch (error) {
+            console.error(chalk.red(`Error editing language: ${error.message}`));
+        }
+    });
+
+// Wind command
+program
+    .command('wind [target]')
+    .description('Copy source code of a contest problem, a file, or the last generated/run file using nomouse')
+    .option('-b, --bundle', 'inline local includes from the file\'s directory and the library paths')
+    .action(async (target, options) => {
+        try {
+            // Prefer the given problem or file, then last run file, fallback to last generated
+            const { filename: targetFile, size, sizeLimit, secondsSpent, secondsSinceLastWind } = await api.wind(target, { bundle: options.bundle });
+            
+            console.log(chalk.green(`✓ Copied ${displayPath(targetFile)} content to clipboard`));
+            console.log(chalk.gray(`File: ${targetFile}`));
+            if (secondsSpent !== null) console.log(chalk.gray(`Total time spent: ${secondsSpent} seconds`));
+
+            if (secondsSinceLastWind !== null) console.log(chalk.gray(`Since last wind: ${secondsSinceLastWind} seconds`));
+            
+            const sizeKb = (size / 1024).toFixed(1);
+            if (sizeLimit && size > sizeLimit * 1024) {
+                console.log(chalk.red(`✗ Size: ${sizeKb} KB exceeds the ${sizeLimit} KB submission limit`));
+            } else {
+                console.log(chalk.gray(`Size: ${sizeKb} KB${sizeLimit ? ` / ${sizeLimit} KB` : ''}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error copying file: ${error.message}`));
+        }
+    });
+
+// Library command
+const libCommand = program
+    .command('lib')
+    .description('Manage the library paths that wind --bundle inlines includes from');
+
+libCommand
+    .command('list')
+    .description('List the library paths')
+    .action(async () => {
+        const sources = [
+            [workspace ? workspace.libraryPaths : [], ` (${CONFIG_FILE_NAME})`],
+            [state.libraryPaths || [], ''],
+            [state !== globalState ? globalState.libraryPaths || [] : [], ' (global)']
+        ];
+        if (sources.every(([libraryPaths]) => libraryPaths.length === 0)) {
+            console.log(chalk.yellow('No library paths yet. Use "nms lib add <dir>" to add one.'));
+            return;
+        }
+        console.log(chalk.blue('📚 Library paths:'));
+        sources.forEach(([libraryPaths, tag]) => libraryPaths.forEach(dir => console.log(chalk.gray(`   ${dir}${tag}`))));
+    });
+
+libCommand
+    .command('add <dir>')
+    .description('Add a library path')
+    .action(async (dir) => {
+        try {
+            const absolute = path.resolve(dir);
+            if (!await fs.pathExists(absolute)) {
+                console.error(chalk.red(`Directory ${absolute} does not exist`));
+                return;
+            }
+            state.libraryPaths = state.libraryPaths || [];
+            if (!state.libraryPaths.includes(absolute)) {
+                state.libraryPaths.push(absolute);
+                saveState(state);
+            }
+            console.log(chalk.green(`✓ Added library path ${absolute}`));
+        } catch (error) {
+            console.error(chalk.red(`Error adding library path: ${error.message}`));
+        }
+    });
+
+libCommand
+    .command('rm <dir>')
+    .description('Remove a library path')
+    .action(async (dir) => {
+        const absolute = path.resolve(dir);
+        state.libraryPaths = (state.libraryPaths || []).filter(libraryPath => libraryPath !== absolute);
+        saveState(state);
+        console.log(chalk.green(`✓ Removed library path ${absolute}`));
+    });
+
+// Cache command
+const cacheCommand = program
+    .command('cache')
+    .description('Manage cached builds');
+
+cacheCommand
+    .command('clean')
+    .description('Remove all cached builds and precompiled headers')
+    .action(async () => {
+        try {
+            const removed = await api.cleanBuildCache();
+            console.log(chalk.green(`✓ Cleared the build cache (${removed} entr${removed === 1 ? 'y' : 'ies'})`));
+        } catch (error) {
+            console.error(chalk.red(`Error cleaning the cache: ${error.message}`));
+        }
+    });
+
+// Stats command
+program
+    .command('stats')
+    .description('Report practice statistics from the tracked files')
+    .option('-d, --days <count>', 'only include files generated in the last N days', parseCount)
+    .option('-e, --export <file>', 'write the report to a .csv or .json file')
+    .action(async (options) => {
+        try {
+            const stats = collectPracticeStats({ days: options.days });
+            
+            if (options.export) {
+                const format = path.extname(options.export).toLowerCase();
+                if (format === '.csv') {
+                    await fs.writeFile(options.export, practiceStatsToCsv(stats));
+                } else if (format === '.json') {
+                    await fs.writeJson(options.export, stats, { spaces: 2 });
+                } else {
+                    console.log(chalk.yellow('Export file must end with .csv or .json'));
+                    return;
+                }
+                console.log(chalk.green(`✓ Exported statistics of ${stats.files.length} file(s) to ${options.export}`));
+                return;
+            }
+            
+            if (stats.files.length === 0) {
+                console.log(chalk.yellow('No tracked files yet. Use "nms gen" to start tracking one.'));
+                return;
+            }
+            
+            const optional = (seconds) => (seconds === null ? '-' : formatSeconds(seconds));
+            const fileWidth = Math.min(40, Math.max(4, ...stats.files.map(row => displayPath(row.file).length)));
+            
+            console.log(chalk.blue('📈 Practice Statistics'));
+            console.log(chalk.gray('─'.repeat(40)));
+            console.log(chalk.blue(`${'File'.padEnd(fileWidth)}  ${'Active'.padStart(11)}  ${'First run'.padStart(11)}  ${'First wind'.padStart(11)}`));
+            stats.files.forEach(row => {
+                const name = displayPath(row.file);
+                const file = name.length > fileWidth ? `…${name.slice(-(fileWidth - 1))}` : name.padEnd(fileWidth);
+                console.log(chalk.gray(`${file}  ${formatSeconds(row.activeSeconds).padStart(11)}  ${optional(row.secondsToFirstRun).padStart(11)}  ${optional(row.secondsToFirstWind).padStart(11)}`));
+            });
+            
+            console.log(chalk.blue('📅 Daily (last 7 days):'));
+            Object.keys(stats.daily).sort().slice(-7).forEach(day => {
+                console.log(chalk.gray(`   ${day}  ${formatSeconds(stats.daily[day])}`));
+            });
+            
+            console.log(chalk.blue('🗓  Weekly (last 4 weeks):'));
+            Object.keys(stats.weekly).sort().slice(-4).forEach(week => {
+                console.log(chalk.gray(`   ${week}  ${formatSeconds(stats.weekly[week])}`));
+            });
+            
+            console.log(chalk.blue('🛠  Languages:'));
+            Object.entries(stats.languages).forEach(([language, summary]) => {
+                console.log(chalk.gray(`   ${language}  ${summary.files} file(s), ${formatSeconds(summary.activeSeconds)}`));
+            });
+            console.log(chalk.gray('─'.repeat(40)));
+        } catch (error) {
+            console.error(chalk.red(`Error showing statistics: ${error.message}`));
+        }
+    });
+
+// Status command
+program
+    .command('status')
+    .description('Show current CLI status and statistics')
+    .action(async () => {
+        try {
+            console.log(chalk.blue('📊 Nomouse CLI Status'));
+            console.log(chalk.gray('─'.repeat(40)));
+            
+            if (workspace) {
+                console.log(chalk.green(`🗂  Workspace: ${workspace.dir} (${CONFIG_FILE_NAME})`));
+            }
+            
+            if (state.lastGenerated) {
+                console.log(chalk.green(`📁 Last Generated: ${displayPath(state.lastGenerated)}`));
+            } else {
+                console.log(chalk.yellow('📁 Last Generated: None'));
+            }
+            
+            if (state.lastRun) {
+                console.log(chalk.green(`▶️  Last Run: ${displayPath(state.lastRun)}`));
+            } else {
+                console.log(chalk.yellow('▶️  Last Run: None'));
+            }
+            
+            console.log(chalk.blue(`📈 Statistics:`));
+            console.log(chalk.gray(`   Generated: ${state.stats.generated} files`));
+            console.log(chalk.gray(`   Run: ${state.stats.run} files`));
+            console.log(chalk.gray(`   Tracked: ${Object.keys(state.fileTimestamps).length} files`));
+            
+            // Show per-problem progress of the current contest
+            if (state.currentContest) {
+                const contest = state.currentContest;
+                console.log(chalk.blue(`🏁 Contest: ${contest.name} (${contest.dir})`));
+                Object.entries(contest.problems).forEach(([problem, file]) => {
+                    const timestamps = getFileTimestamps(path.join(contest.dir, file));
+                    if (!timestamps) {
+                        console.log(chalk.gray(`   ${problem}: ${file} (not tracked)`));
+                        return;
+                    }
+                    const spent = formatSeconds(retrieveSecondsSpent(path.join(contest.dir, file)));
+                    const wound = timestamps.lastWinded ? `wound ${getTimeAgo(new Date(timestamps.lastWinded))}` : 'not wound';
+                    const paused = isTimerRunning(path.join(contest.dir, file)) ? '' : ', paused';
+                    console.log(chalk.gray(`   ${problem}: ${file}  ${spent}, ${wound}${paused}`));
+                });
+            }
+            
+            // Show available templates grouped by extension
+            const templates = await listTemplates();
+            if (Object.keys(templates).length > 0) {
+                console.log(chalk.blue(`📋 Available Templates:`));
+                Object.entries(templates).forEach(([ext, names]) => {
+                    const defaultName = getDefaultTemplateName(ext);
+                    const labels = names.map(name => (name === defaultName ? `${name}*` : name));
+                    console.log(chalk.gray(`   ${ext}: ${labels.join(', ')}`));
+                });
+            } else {
+                console.log(chalk.yellow('📋 No templates set yet. Use "nms set <extension>" to create one.'));
+            }
+            
+            console.log(chalk.gray('─'.repeat(40)));
+        } catch (error) {
+            console.error(chalk.red(`Error showing status: ${error.message}`));
+        }
+    });
+
+program
+    .command('pause [target]')
+    .description('pause the timer running on the file indicated (a contest problem, a file, or the last used file)')
+    .action(async (target) => {
+        try {
+            const timer = await api.pause(target);
+            if (!timer.tracked) {
+                console.log(chalk.yellow('No file has been active yet'));
+                return;
+            }
+            if (!timer.changed) {
+                console.log(chalk.yellow('Timer is already paused'));
+                return;
+            }
+
+            console.log(chalk.green(`✓ Paused timer for ${displayPath(timer.filename)}`));
+        } catch (error) {
+            console.error(chalk.red(`Error pausing timer: ${error.message}`));
+        }
+    });
+
+program
+    .command('resume [target]')
+    .description('resume the timer running on the file indicated (a contest problem, a file, or the last used file)')
+    .action(async (target) => {
+        try {
+            const timer = await api.resume(target);
+            if (!timer.tracked) {
+                console.log(chalk.yellow('No file has been active yet'));
+                return;
+            }
+            if (!timer.changed) {
+                console.log(chalk.yellow('Timer is already running'));
+                return;
+            }
+
+            console.log(chalk.green(`✓ Resumed timer for ${displayPath(timer.filename)}`));
+            console.log(chalk.gray(`Paused for: ${timer.secondsPaused} seconds`));
+        } catch (error) {
+            console.error(chalk.red(`Error resuming timer: ${error.message}`));
+        }
+    });
+
+// Timer command
+program
+    .command('timer [target]')
+    .description('Show a live readout of the time spent on a contest problem, a file, or the last used file')
+    .action(async (target) => {
+        try {
+            const timer = api.getTimer(target);
+            if (!timer.tracked) {
+                console.log(chalk.yellow(`${displayPath(timer.filename)} is not tracked. Generate it with "nms gen" first.`));
+                return;
+            }
+            
+            const readout = () => {
+                const { secondsSpent, running, sessions } = api.getTimer(timer.filename);
+                const status = running ? chalk.green('running') : chalk.yellow('paused');
+                return `⏱  ${displayPath(timer.filename)}: ${formatSeconds(secondsSpent)} (${status}, ${sessions.length} session(s))`;
+            };
+            
+            // Print once when piped or when nothing changes
+            if (!process.stdout.isTTY || !timer.running) {
+                console.log(readout());
+                return;
+            }
+            
+            process.stdout.write(readout());
+            setInterval(() => process.stdout.write(`\r${readout()}`), 1000);
+            process.on('SIGINT', () => {
+                process.stdout.write('\n');
+                process.exit(0);
+            });
+        } catch (error) {
+            console.error(chalk.red(`Error showing timer: ${error.message}`));
+        }
     });
 
 // Clear command
@@ -525,8 +1654,7 @@ program
     .command('clear')
     .description('Clear logs and messages from a command-line interface')
     .action(async () => {
-        const cmd = process.platform === "win32" ? "cls" : "clear";
-        spawnSync(cmd, { stdio: "inherit", shell:true })
+        clearScreen();
     });
 
 
@@ -0,0 +1,64 @@
+import fs from 'fs-extra';
+import path from "path";
+import crypto from 'crypto';
+import { storageDir, backupsDir } from './storage.js';
+
+// Backups of a file live in `backups/<path in the data directory>/<timestamp><ext>`, so templates
+// and snippets removed or replaced by set, rm, import and rollback can be restored later.
+// Files kept elsewhere, such as a workspace's templates, are keyed by a hash of their absolute path,
+// so each workspace keeps its own history.
+function backupDirFor(file) {
+    const absolute = path.resolve(file);
+    const relative = path.relative(storageDir, absolute);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return path.join(backupsDir, relative);
+    }
+    const pathHash = crypto.createHash('sha256').update(absolute).digest('hex').slice(0, 16);
+    return path.join(backupsDir, 'external', pathHash, path.basename(file));
+}
+
+// Timestamps such as 2026-10-18T09-30-00-000Z sort in the order they were taken
+function stampToDate(stamp) {
+    return new Date(stamp.replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, 'T$1:$2:$3.$4Z'));
+}
+
+// Copy the current content of a file into its backups; returns the backup path or null if there is nothing to keep
+export async function backupFile(file) {
+    if (!await fs.pathExists(file)) return null;
+
+    const dir = backupDirFor(file);
+    await fs.ensureDir(dir);
+    let stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // Two backups within the same millisecond must not overwrite each other
+    while (await fs.pathExists(path.join(dir, `${stamp}${path.extname(file)}`))) {
+        stamp = new Date(stampToDate(stamp).getTime() + 1).toISOString().replace(/[:.]/g, '-');
+    }
+    const backupPath = path.join(dir, `${stamp}${path.extname(file)}`);
+    await fs.copy(file, backupPath);
+    return backupPath;
+}
+
+// List the backups of a file, newest first: [{ version, path, date }] where version 1 is the latest
+export async function listBackups(file) {
+    const dir = backupDirFor(file);
+    if (!await fs.pathExists(dir)) return [];
+
+    const entries = (await fs.readdir(dir)).sort().reverse();
+    return entries.map((entry, index) => ({
+        version: index + 1,
+        path: path.join(dir, entry),
+        date: stampToDate(path.basename(entry, path.extname(file)))
+    }));
+}
+
+// Put a backup back in place, keeping the current content as a new backup first.
+// Returns the restored backup, or null when the version does not exist.
+export async function restoreBackup(file, version = 1) {
+    const backup = (await listBackups(file)).find(entry => entry.version === version);
+    if (!backup) return null;
+
+    await backupFile(file);
+    await fs.ensureDir(path.dirname(file));
+    await fs.copy(backup.path, file);
+    return backup;
+}
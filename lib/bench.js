@@ -0,0 +1,65 @@
+// Times below this, once startup is taken off, are mostly timer noise and say nothing about growth
+export const MIN_MEASURABLE_MS = 10;
+
+// Input size used to measure how long a run takes before the solution does any real work
+export const STARTUP_SIZE = 1;
+
+// Share of the time limit above which a size is reported as risky
+export const CLOSE_TO_LIMIT_RATIO = 0.5;
+
+// Candidate complexities, ordered by how fast they grow
+export const GROWTH_MODELS = [
+    { name: 'O(1)', cost: () => 1 },
+    { name: 'O(log n)', cost: (n) => Math.log2(n) },
+    { name: 'O(√n)', cost: (n) => Math.sqrt(n) },
+    { name: 'O(n)', cost: (n) => n },
+    { name: 'O(n log n)', cost: (n) => n * Math.log2(n) },
+    { name: 'O(n log² n)', cost: (n) => n * Math.log2(n) ** 2 },
+    { name: 'O(n√n)', cost: (n) => n * Math.sqrt(n) },
+    { name: 'O(n²)', cost: (n) => n ** 2 },
+    { name: 'O(n² log n)', cost: (n) => n ** 2 * Math.log2(n) },
+    { name: 'O(n³)', cost: (n) => n ** 3 }
+];
+
+// Median of a list of numbers
+export function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Guess the complexity from [{ size, time }] points (time in milliseconds).
+// `baseline` is the startup time included in every run; left in, it flattens small sizes and favors slower-growing models.
+// The model whose time/cost ratio stays the most constant wins; `exponent` is the (weighted) slope of log time over log size.
+// Returns { model, exponent, points } or null when fewer than two sizes ran long enough to measure.
+export function estimateGrowth(measurements, baseline = 0) {
+    const points = measurements
+        .map(point => ({ size: point.size, time: point.time - baseline }))
+        .filter(point => point.size > 1 && point.time >= MIN_MEASURABLE_MS);
+    if (new Set(points.map(point => point.size)).size < 2) return null;
+
+    // Timing jitter is about the same number of milliseconds at every size, so the relative error of a point
+    // shrinks with its time; weighting by time² trusts the largest sizes the most
+    const weights = points.map(point => point.time ** 2);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const mean = (values) => values.reduce((sum, value, index) => sum + weights[index] * value, 0) / totalWeight;
+    const spread = (values) => {
+        const center = mean(values);
+        return values.reduce((sum, value, index) => sum + weights[index] * (value - center) ** 2, 0);
+    };
+
+    let best = null;
+    for (const model of GROWTH_MODELS) {
+        const error = spread(points.map(point => Math.log(point.time / model.cost(point.size))));
+        if (!best || error < best.error) best = { model: model.name, error };
+    }
+
+    const logSizes = points.map(point => Math.log(point.size));
+    const logTimes = points.map(point => Math.log(point.time));
+    const meanSize = mean(logSizes);
+    const meanTime = mean(logTimes);
+    const covariance = logSizes.reduce((sum, value, index) => sum + weights[index] * (value - meanSize) * (logTimes[index] - meanTime), 0);
+    const exponent = covariance / spread(logSizes);
+
+    return { model: best.model, exponent, points: points.length };
+}
@@ -0,0 +1,281 @@
+import fs from 'fs-extra';
+import path from "path";
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { exeDir, languagesFile, contextFor } from './storage.js';
+import { findIncludedFile, getLibraryPaths } from './bundle.js';
+
+// Flags of the --debug build profile for C and C++
+export const C_DEBUG_FLAGS = '-g -fsanitize=address,undefined';
+export const CXX_DEBUG_FLAGS = `${C_DEBUG_FLAGS} -D_GLIBCXX_DEBUG`;
+
+// Sanitizer settings for debug builds: no leak noise, stop at the first report, show stack traces
+export const SANITIZER_ENV = {
+    ASAN_OPTIONS: 'detect_leaks=0:symbolize=1',
+    UBSAN_OPTIONS: 'print_stacktrace=1:halt_on_error=1'
+};
+
+// Built-in languages, written to languages.json on first use so they can be edited.
+// Placeholders: {source}, {dir}, {classname}, {output}, {outdir}
+// `debugCompile` is used instead of `compile` by --debug builds
+export const DEFAULT_LANGUAGES = {
+    '.js': { name: 'JavaScript', run: 'node {source}' },
+    '.py': { name: 'Python', run: 'python {source}' },
+    '.cpp': { name: 'C++', compile: 'g++ -o {output} {source}', debugCompile: `g++ ${CXX_DEBUG_FLAGS} -o {output} {source}`, run: '{output}' },
+    '.cc': { name: 'C++', compile: 'g++ -o {output} {source}', debugCompile: `g++ ${CXX_DEBUG_FLAGS} -o {output} {source}`, run: '{output}' },
+    '.cxx': { name: 'C++', compile: 'g++ -o {output} {source}', debugCompile: `g++ ${CXX_DEBUG_FLAGS} -o {output} {source}`, run: '{output}' },
+    '.c': { name: 'C', compile: 'gcc -o {output} {source}', debugCompile: `gcc ${C_DEBUG_FLAGS} -o {output} {source}`, run: '{output}' },
+    '.java': { name: 'Java', compile: 'javac -d {outdir} {source}', run: 'java -cp {outdir} {classname}' }
+};
+
+// Load the language registry, seeding it with the built-in languages.
+// Entries in the .nomousrc of `dir`'s workspace override single fields, unless `includeWorkspace` is false.
+export function loadLanguages({ includeWorkspace = true, dir = process.cwd() } = {}) {
+    let languages;
+    try {
+        if (!fs.existsSync(languagesFile)) {
+            fs.outputJsonSync(languagesFile, DEFAULT_LANGUAGES, { spaces: 2 });
+        }
+        languages = { ...DEFAULT_LANGUAGES, ...fs.readJsonSync(languagesFile) };
+    } catch (error) {
+        console.warn(`Warning: Could not load ${languagesFile}, using built-in languages.`);
+        languages = { ...DEFAULT_LANGUAGES };
+    }
+
+    const { workspace } = includeWorkspace ? contextFor(dir) : {};
+    if (workspace) {
+        Object.entries(workspace.languages).forEach(([ext, language]) => {
+            languages[ext] = { ...languages[ext], ...language };
+        });
+    }
+    return languages;
+}
+
+// Save the language registry
+export function saveLanguages(languages) {
+    fs.outputJsonSync(languagesFile, languages, { spaces: 2 });
+}
+
+// Normalize "cpp" or ".cpp" into ".cpp"
+export function normalizeExtension(extension) {
+    return extension.startsWith('.') ? extension : `.${extension}`;
+}
+
+// Split a command template into arguments, honoring single and double quotes
+export function splitCommand(command) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let inToken = false;
+
+    for (const char of command) {
+        if (quote) {
+            if (char === quote) quote = null;
+            else current += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inToken = true;
+        } else if (/\s/.test(char)) {
+            if (inToken) args.push(current);
+            current = '';
+            inToken = false;
+        } else {
+            current += char;
+            inToken = true;
+        }
+    }
+    if (inToken) args.push(current);
+    return args;
+}
+
+// Turn a command template into a command and arguments for a source file
+export function expandCommand(template, filename, { outdir = exeDir } = {}) {
+    const ext = path.extname(filename);
+    const baseName = path.basename(filename, ext);
+    const values = {
+        source: filename,
+        dir: path.dirname(filename),
+        classname: baseName,
+        output: path.join(outdir, baseName),
+        outdir
+    };
+    const [command, ...args] = splitCommand(template)
+        .map(arg => arg.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder)));
+    return { command, args };
+}
+
+// Directories the compiler searches for headers: the -I (and -iquote/-isystem) flags of the compile command,
+// then the library paths added for bundling, which usually hold the same shared headers
+function getIncludeDirs(compileTemplate, filename) {
+    const { args } = expandCommand(compileTemplate, filename);
+    const dirs = [];
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i].match(/^-(I|iquote|isystem)(.*)$/);
+        if (!flag) continue;
+        const dir = flag[2] || args[++i];
+        if (dir) dirs.push(path.resolve(dir));
+    }
+    return [...dirs, ...getLibraryPaths(path.dirname(path.resolve(filename)))];
+}
+
+// Hash a source file together with the local headers it pulls in, so editing a header also invalidates
+// the build: `#include "..."` is looked up next to the including file and then in the include
+// directories, `#include <...>` only in the include directories (system headers are not hashed)
+function hashSource(filename, includeDirs = [], hash = crypto.createHash('sha256'), seen = new Set()) {
+    const absolute = path.resolve(filename);
+    if (seen.has(absolute)) return hash;
+    seen.add(absolute);
+
+    const content = fs.readFileSync(absolute);
+    hash.update(absolute).update('\0').update(content).update('\0');
+    for (const [, open, relativePath] of content.toString('utf8').matchAll(/^\s*#\s*include\s*(["<])([^">]+)[">]/gm)) {
+        const dirs = open === '"' ? [path.dirname(absolute), ...includeDirs] : includeDirs;
+        const included = findIncludedFile(relativePath, dirs);
+        if (included) hashSource(included, includeDirs, hash, seen);
+    }
+    return hash;
+}
+
+// Cache slot for a build: keyed by the absolute path, the profile, the source contents and
+// the compile command. Slots with the same prefix are older builds of the same file.
+function getBuildSlot(filename, compileTemplate, debug) {
+    const absolute = path.resolve(filename);
+    const baseName = path.basename(absolute, path.extname(absolute));
+    const pathHash = crypto.createHash('sha256').update(absolute).digest('hex').slice(0, 8);
+    const buildHash = hashSource(absolute, getIncludeDirs(compileTemplate, absolute)).update(compileTemplate).digest('hex').slice(0, 16);
+    const prefix = `${baseName}-${pathHash}-${debug ? 'debug' : 'release'}-`;
+    return { prefix, dir: path.join(exeDir, prefix + buildHash) };
+}
+
+// Written into a slot once compilation succeeded, so a half-finished build is never reused
+const BUILD_MARKER = '.nomouse-build';
+
+// Run a command to completion, collecting stdout and stderr together
+function runToCompletion(command, args) {
+    return new Promise((resolve) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            resolve({ output, ...result });
+        };
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => { output += chunk; });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.on('error', (error) => finish({ status: null, error }));
+        child.on('close', (status) => finish({ status, error: null }));
+    });
+}
+
+// Precompile <bits/stdc++.h> with the same g++ flags as the build, once per set of flags.
+// Resolves to the include directory holding the .gch, or null when it does not apply.
+async function preparePrecompiledHeader(compileTemplate, filename, onProgress) {
+    const [command, ...tokens] = splitCommand(compileTemplate);
+    if (path.basename(command) !== 'g++') return null;
+    if (!/^\s*#\s*include\s*<bits\/stdc\+\+\.h>/m.test(await fs.readFile(filename, 'utf8'))) return null;
+
+    // Keep only the flags: drop the output and anything naming the source
+    const flags = [];
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i] === '-o') {
+            i++;
+            continue;
+        }
+        if (/\{(source|output|outdir|dir|classname)\}/.test(tokens[i])) continue;
+        flags.push(tokens[i]);
+    }
+
+    const flagsHash = crypto.createHash('sha256').update([command, ...flags].join('\0')).digest('hex').slice(0, 16);
+    const pchDir = path.join(exeDir, 'pch', flagsHash);
+    const header = path.join(pchDir, 'bits', 'stdc++.h');
+    if (await fs.pathExists(`${header}.gch`)) return pchDir;
+
+    // The wrapper falls through to the real header whenever g++ rejects the .gch
+    await fs.outputFile(header, '#include_next <bits/stdc++.h>\n');
+    onProgress('Precompiling bits/stdc++.h for these flags (first build only)...');
+    const result = await runToCompletion(command, [...flags, '-x', 'c++-header', header, '-o', `${header}.gch`]);
+    if (result.error || result.status !== 0) {
+        onProgress('Could not precompile bits/stdc++.h, building without it');
+        await fs.remove(pchDir);
+        return null;
+    }
+    return pchDir;
+}
+
+// Compile a source file if needed and report how to execute it.
+// Builds are cached per source, so an unchanged file is not compiled again.
+// With `debug`, C and C++ are built with sanitizers into a separate slot.
+// Resolves to { ok, cached, executable, status, output, error }; progress messages go to onProgress.
+export async function compileSource(filename, { debug = false, onProgress = () => {} } = {}) {
+    const ext = path.extname(filename);
+    const language = loadLanguages({ dir: path.dirname(path.resolve(filename)) })[ext];
+
+    if (!language || !language.run) {
+        throw new Error(`No language configured for ${ext} files. Use 'nms lang add ${ext}' to register one.`);
+    }
+
+    // Entries written before debug profiles existed fall back to the built-in debug command
+    const debugCompile = language.debugCompile || (DEFAULT_LANGUAGES[ext] || {}).debugCompile;
+    const compileTemplate = debug && debugCompile ? debugCompile : language.compile;
+    const label = `${language.name || ext} file${compileTemplate && compileTemplate === debugCompile ? ' (debug)' : ''}`;
+
+    if (!compileTemplate) {
+        onProgress(`Running ${label}...`);
+        return { ok: true, cached: false, executable: expandCommand(language.run, filename), status: null, output: '', error: null };
+    }
+
+    const slot = getBuildSlot(filename, compileTemplate, debug);
+    const cached = await fs.pathExists(path.join(slot.dir, BUILD_MARKER));
+    let compileResult = { status: 0, output: '' };
+    if (cached) {
+        onProgress(`Using cached build of ${label}...`);
+    } else {
+        onProgress(`Compiling ${label}...`);
+        await fs.emptyDir(slot.dir);
+        const compile = expandCommand(compileTemplate, filename, { outdir: slot.dir });
+        const pchDir = await preparePrecompiledHeader(compileTemplate, filename, onProgress);
+        const compileArgs = pchDir ? ['-I', pchDir, ...compile.args] : compile.args;
+        compileResult = await runToCompletion(compile.command, compileArgs);
+
+        if (compileResult.error || compileResult.status !== 0) {
+            await fs.remove(slot.dir);
+            return {
+                ok: false,
+                cached: false,
+                executable: null,
+                status: compileResult.status,
+                output: compileResult.output,
+                error: compileResult.error ? `Could not start ${compile.command}: ${compileResult.error.message}` : null
+            };
+        }
+        await fs.writeFile(path.join(slot.dir, BUILD_MARKER), `${path.resolve(filename)}\n`);
+
+        // Drop older builds of the same file and profile
+        for (const entry of await fs.readdir(exeDir)) {
+            const entryPath = path.join(exeDir, entry);
+            if (entry.startsWith(slot.prefix) && entryPath !== slot.dir) await fs.remove(entryPath);
+        }
+    }
+
+    const executable = expandCommand(language.run, filename, { outdir: slot.dir });
+    return {
+        ok: true,
+        cached,
+        executable: debug ? { ...executable, env: SANITIZER_ENV } : executable,
+        status: compileResult.status,
+        output: compileResult.output,
+        error: null
+    };
+}
+
+// Remove every cached build and precompiled header; resolves to the number of entries removed
+export async function cleanBuildCache() {
+    if (!await fs.pathExists(exeDir)) return 0;
+    const entries = await fs.readdir(exeDir);
+    await fs.emptyDir(exeDir);
+    return entries.length;
+}
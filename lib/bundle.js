@@ -0,0 +1,113 @@
+import fs from 'fs-extra';
+import path from "path";
+import { contextFor } from './storage.js';
+
+// Markers for code that must not be submitted; a line containing `nms:debug` is dropped,
+// as is everything between `nms:debug-begin` and `nms:debug-end`
+export function stripDebugBlocks(content) {
+    const lines = [];
+    let depth = 0;
+    for (const line of content.split('\n')) {
+        if (line.includes('nms:debug-begin')) {
+            depth++;
+        } else if (line.includes('nms:debug-end')) {
+            depth = Math.max(0, depth - 1);
+        } else if (depth === 0 && !line.includes('nms:debug')) {
+            lines.push(line);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Find an included file in the given directories
+export function findIncludedFile(relativePath, dirs) {
+    for (const dir of dirs) {
+        const candidate = path.resolve(dir, relativePath);
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+    return null;
+}
+
+// Recursively inline `#include "..."` (and `#include <...>` found in the library paths).
+// Each file and each include guard is pasted only once.
+export function bundleCSource(filename, libraryPaths, seen = { files: new Set(), guards: new Set() }) {
+    const absolute = path.resolve(filename);
+    seen.files.add(absolute);
+
+    const content = fs.readFileSync(absolute, 'utf8');
+    const guard = content.match(/^\s*#ifndef\s+(\w+)\s*\n\s*#define\s+\1\b/m);
+    if (guard) {
+        if (seen.guards.has(guard[1])) return '';
+        seen.guards.add(guard[1]);
+    }
+
+    return content.split('\n').map(line => {
+        if (/^\s*#\s*pragma\s+once\b/.test(line)) return null;
+
+        const include = line.match(/^\s*#\s*include\s*(?:"([^"]+)"|<([^>]+)>)/);
+        if (!include) return line;
+
+        const dirs = include[1] ? [path.dirname(absolute), ...libraryPaths] : libraryPaths;
+        const included = findIncludedFile(include[1] || include[2], dirs);
+        if (!included) return line;
+        if (seen.files.has(included)) return null;
+        return bundleCSource(included, libraryPaths, seen);
+    }).filter(line => line !== null).join('\n');
+}
+
+// Recursively inline local Python modules: `from mod import ...` pastes the module source,
+// `import mod [as alias]` rebuilds the module object from its source
+export function bundlePythonSource(filename, libraryPaths, seen = new Set()) {
+    const absolute = path.resolve(filename);
+    seen.add(absolute);
+
+    const content = fs.readFileSync(absolute, 'utf8');
+    const dirs = [path.dirname(absolute), ...libraryPaths];
+
+    return content.split('\n').map(line => {
+        const fromImport = line.match(/^from\s+([\w.]+)\s+import\s+/);
+        const plainImport = line.match(/^import\s+([\w.]+)(?:\s+as\s+(\w+))?\s*$/);
+        const moduleName = (fromImport || plainImport || [])[1];
+        if (!moduleName) return line;
+
+        const modulePath = findIncludedFile(`${moduleName.split('.').join(path.sep)}.py`, dirs);
+        if (!modulePath) return line;
+
+        if (fromImport) {
+            if (seen.has(modulePath)) return null;
+            return bundlePythonSource(modulePath, libraryPaths, seen);
+        }
+
+        const alias = plainImport[2] || moduleName;
+        if (alias.includes('.')) return line;
+        // The module gets its own namespace, so its imports are pasted into it afresh
+        const source = bundlePythonSource(modulePath, libraryPaths);
+        return `${alias} = __import__('types').ModuleType(${JSON.stringify(moduleName)}); exec(${JSON.stringify(source)}, ${alias}.__dict__)`;
+    }).filter(line => line !== null).join('\n');
+}
+
+// Library paths of the .nomousrc of a directory's workspace, then the ones added with `nms lib add`
+// to the workspace and globally
+export function getLibraryPaths(dir = process.cwd()) {
+    const { workspace, state, globalState } = contextFor(dir);
+    const libraryPaths = [
+        ...(workspace ? workspace.libraryPaths : []),
+        ...(state.libraryPaths || []),
+        ...(globalState.libraryPaths || [])
+    ];
+    return [...new Set(libraryPaths)];
+}
+
+// Prepare a file for submission: inline local includes when bundling and drop debug-only code
+export function prepareSubmission(filename, { bundle = false } = {}) {
+    const libraryPaths = getLibraryPaths(path.dirname(path.resolve(filename)));
+    const ext = path.extname(filename);
+    let content = fs.readFileSync(filename, 'utf8');
+
+    if (bundle && ['.c', '.cc', '.cpp', '.cxx', '.h', '.hpp'].includes(ext)) {
+        content = bundleCSource(filename, libraryPaths);
+    } else if (bundle && ext === '.py') {
+        content = bundlePythonSource(filename, libraryPaths);
+    }
+    return stripDebugBlocks(content);
+}
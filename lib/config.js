@@ -0,0 +1,54 @@
+import fs from 'fs-extra';
+import path from "path";
+import { parseDuration, parseMemory, parseSourceSize } from './units.js';
+
+// Name of the per-project configuration file
+export const CONFIG_FILE_NAME = '.nomousrc';
+
+// Find the nearest .nomousrc in a directory or any of its parents
+export function findConfigFile(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        const candidate = path.join(dir, CONFIG_FILE_NAME);
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+// Turn the raw JSON of a .nomousrc into settings with absolute paths and parsed limits.
+// Limits accept the same values as the command line ("2s", "256m", "64k") or plain numbers.
+function normalizeConfig(raw, dir) {
+    const settings = { templatesDir: null, languages: {}, limits: {}, libraryPaths: [] };
+
+    if (raw.templates) settings.templatesDir = path.resolve(dir, raw.templates);
+
+    Object.entries(raw.languages || {}).forEach(([extension, language]) => {
+        const ext = extension.startsWith('.') ? extension : `.${extension}`;
+        settings.languages[ext] = language;
+    });
+
+    const limits = raw.limits || {};
+    if (limits.timeLimit !== undefined) settings.limits.timeLimit = parseDuration(limits.timeLimit);
+    if (limits.memoryLimit !== undefined) settings.limits.memoryLimit = parseMemory(limits.memoryLimit);
+    if (limits.sizeLimit !== undefined) settings.limits.sizeLimit = parseSourceSize(limits.sizeLimit);
+
+    settings.libraryPaths = (raw.libraryPaths || []).map(libraryPath => path.resolve(dir, libraryPath));
+    return settings;
+}
+
+// Load the workspace around a directory: { dir, file, ...settings }, or null outside any workspace.
+// A broken file still marks the workspace so its state stays separate, but its settings are ignored.
+export function loadWorkspace(startDir = process.cwd()) {
+    const file = findConfigFile(startDir);
+    if (!file) return null;
+
+    const dir = path.dirname(file);
+    try {
+        return { dir, file, ...normalizeConfig(fs.readJsonSync(file), dir) };
+    } catch (error) {
+        console.warn(`Warning: Could not load ${file} (${error.message}), ignoring its settings.`);
+        return { dir, file, ...normalizeConfig({}, dir) };
+    }
+}
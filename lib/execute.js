@@ -0,0 +1,323 @@
+import fs from 'fs-extra';
+import os from "os";
+import path from "path";
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import { performance } from 'perf_hooks';
+import { exeDir } from './storage.js';
+
+// What the common crash signals usually mean in a contest program
+const SIGNAL_DESCRIPTIONS = {
+    SIGSEGV: 'Segmentation fault: invalid memory access (out-of-bounds index, null pointer or stack overflow)',
+    SIGFPE: 'Floating point exception: integer division or modulo by zero',
+    SIGABRT: 'Aborted: failed assertion, uncaught exception or sanitizer error',
+    SIGBUS: 'Bus error: invalid or misaligned memory access',
+    SIGILL: 'Illegal instruction: often a non-void function that does not return',
+    SIGKILL: 'Killed: usually by the system after running out of memory',
+    SIGTERM: 'Terminated by another process'
+};
+
+// Exit codes Windows uses for crashes
+const WINDOWS_EXIT_DESCRIPTIONS = {
+    3221225477: SIGNAL_DESCRIPTIONS.SIGSEGV,
+    3221225725: 'Stack overflow: recursion too deep',
+    3221225620: SIGNAL_DESCRIPTIONS.SIGFPE
+};
+
+// Explain how a program ended, decoding signals and the 128+N statuses shells report for them
+export function describeExit(status, signal) {
+    let signalName = signal;
+    if (!signalName && status > 128 && status < 128 + 64) {
+        signalName = Object.keys(os.constants.signals).find(name => os.constants.signals[name] === status - 128);
+    }
+    if (signalName) {
+        return `${signalName}: ${SIGNAL_DESCRIPTIONS[signalName] || 'terminated by signal'}`;
+    }
+    if (WINDOWS_EXIT_DESCRIPTIONS[status]) {
+        return `exit code ${status}: ${WINDOWS_EXIT_DESCRIPTIONS[status]}`;
+    }
+    return `exit code ${status}`;
+}
+
+// Small launcher that runs a program under a data size rlimit and reports its exact peak memory
+// (ru_maxrss from wait4) on fd 3, then exits the same way the program did.
+// Sampling /proc misses short runs, which is most of them.
+const MEASURE_SOURCE = `#include <signal.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <sys/prctl.h>
+#include <sys/resource.h>
+#include <sys/wait.h>
+#include <unistd.h>
+
+int main(int argc, char **argv) {
+    if (argc < 3) return 127;
+    long long limit = atoll(argv[1]);
+    pid_t pid = fork();
+    if (pid < 0) return 127;
+    if (pid == 0) {
+        prctl(PR_SET_PDEATHSIG, SIGKILL);
+        if (limit > 0) {
+            struct rlimit rl = { (rlim_t)limit, (rlim_t)limit };
+            setrlimit(RLIMIT_DATA, &rl);
+        }
+        close(3);
+        execvp(argv[2], argv + 2);
+        perror(argv[2]);
+        _exit(127);
+    }
+    int status;
+    struct rusage usage;
+    while (wait4(pid, &status, 0, &usage) < 0) {}
+    dprintf(3, "%ld\\n", usage.ru_maxrss);
+    close(3);
+    if (WIFSIGNALED(status)) {
+        signal(WTERMSIG(status), SIG_DFL);
+        struct rlimit core = { 0, 0 };
+        setrlimit(RLIMIT_CORE, &core);
+        raise(WTERMSIG(status));
+    }
+    return WEXITSTATUS(status);
+}
+`;
+
+// Path of the compiled launcher, or null where it cannot be built (no C compiler, not Linux)
+let measureHelper;
+function getMeasureHelper() {
+    if (measureHelper !== undefined) return measureHelper;
+    measureHelper = null;
+    if (process.platform !== 'linux') return measureHelper;
+
+    const hash = crypto.createHash('sha256').update(MEASURE_SOURCE).digest('hex').slice(0, 12);
+    const helper = path.join(exeDir, `measure-${hash}`);
+    if (fs.existsSync(helper)) return (measureHelper = helper);
+
+    const source = `${helper}.c`;
+    fs.outputFileSync(source, MEASURE_SOURCE);
+    for (const compiler of ['cc', 'gcc']) {
+        const result = spawnSync(compiler, ['-O2', '-o', helper, source], { stdio: 'ignore', timeout: 30000 });
+        if (result.status === 0) {
+            measureHelper = helper;
+            break;
+        }
+    }
+    fs.removeSync(source);
+    return measureHelper;
+}
+
+// Runtimes with a managed heap reserve and commit memory up front, so an rlimit makes them fail at startup;
+// for these the limit is enforced through the measured peak only
+const MANAGED_HEAP_RUNTIMES = new Set(['java', 'kotlin', 'scala']);
+
+function hasManagedHeap(command) {
+    return MANAGED_HEAP_RUNTIMES.has(path.basename(command).replace(/\.exe$/i, ''));
+}
+
+// Spawn a program, through the launcher when it is available so its peak memory is known at exit
+// and the memory limit is enforced by the kernel. `measured` tells whether fd 3 carries the peak.
+function spawnMeasured(executable, { stdio, memoryLimit = null, env }) {
+    const helper = getMeasureHelper();
+    if (!helper) {
+        return { child: spawn(executable.command, executable.args, { stdio, env }), measured: false };
+    }
+    const limitBytes = memoryLimit && !hasManagedHeap(executable.command) ? Math.round(memoryLimit * 1024 * 1024) : 0;
+    const child = spawn(helper, [String(limitBytes), executable.command, ...executable.args], { stdio: [...stdio, 'pipe'], env });
+    return { child, measured: true };
+}
+
+// Read the peak memory the launcher reports on fd 3, in bytes
+function collectPeakMemory(child) {
+    let report = '';
+    child.stdio[3].setEncoding('utf8');
+    child.stdio[3].on('data', (chunk) => { report += chunk; });
+    return () => {
+        const kilobytes = parseInt(report, 10);
+        return Number.isFinite(kilobytes) ? kilobytes * 1024 : null;
+    };
+}
+
+// Messages runtimes print when an allocation fails, as happens at the rlimit
+const OUT_OF_MEMORY_PATTERN = /bad_alloc|MemoryError|out of memory|Cannot allocate memory|OutOfMemoryError/i;
+
+// Read the peak resident memory of a running process in bytes (Linux only)
+function readPeakMemory(pid) {
+    try {
+        const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+        return match ? parseInt(match[1], 10) * 1024 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Execute a built program under time and memory limits, measuring wall time and peak memory.
+// Without `input` the program talks to the terminal; otherwise stdin is fed and stdout/stderr are captured.
+export function executeProgram(executable, { input = null, limits = {} } = {}) {
+    return new Promise((resolve) => {
+        const interactive = input === null;
+        const startedAt = performance.now();
+        const { child, measured } = spawnMeasured(executable, {
+            stdio: interactive ? ['inherit', 'inherit', 'inherit'] : ['pipe', 'pipe', 'pipe'],
+            memoryLimit: limits.memoryLimit,
+            env: executable.env ? { ...process.env, ...executable.env } : process.env
+        });
+        const readMeasuredPeak = measured ? collectPeakMemory(child) : null;
+
+        let stdout = '';
+        let stderr = '';
+        let memory = null;
+        let killedFor = null;
+        let settled = false;
+
+        const kill = (verdict) => {
+            if (killedFor) return;
+            killedFor = verdict;
+            child.kill('SIGKILL');
+        };
+
+        const sampleMemory = () => {
+            const peak = readPeakMemory(child.pid);
+            if (peak === null) return;
+            memory = Math.max(memory || 0, peak);
+            if (limits.memoryLimit && memory > limits.memoryLimit * 1024 * 1024) kill('MLE');
+        };
+
+        const timer = limits.timeLimit ? setTimeout(() => kill('TLE'), limits.timeLimit) : null;
+        // Without the launcher, sampling is the only way to see memory at all
+        const sampler = measured ? null : setInterval(sampleMemory, 5);
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            clearInterval(sampler);
+            resolve({ stdout, stderr, memory, time: Math.round(performance.now() - startedAt), ...result });
+        };
+
+        if (!interactive) {
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+            child.stdout.on('data', (chunk) => { stdout += chunk; });
+            child.stderr.on('data', (chunk) => { stderr += chunk; });
+            // The program may exit without reading all of its input
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        }
+
+        child.on('error', (error) => {
+            finish({ verdict: 'RE', status: null, signal: null, stderr: error.message });
+        });
+
+        child.on('close', (status, signal) => {
+            const time = Math.round(performance.now() - startedAt);
+            if (readMeasuredPeak) memory = readMeasuredPeak();
+            const overLimit = limits.memoryLimit && memory !== null && memory > limits.memoryLimit * 1024 * 1024;
+            let verdict = killedFor;
+            if (!verdict && limits.timeLimit && time > limits.timeLimit) verdict = 'TLE';
+            if (!verdict && overLimit) verdict = 'MLE';
+            // An allocation refused by the rlimit makes the program fail on its own
+            if (!verdict && status !== 0) verdict = limits.memoryLimit && OUT_OF_MEMORY_PATTERN.test(stderr) ? 'MLE' : 'RE';
+            finish({ verdict, status, signal, time });
+        });
+    });
+}
+
+// Verdicts reported by testlib-style interactors through their exit code
+const INTERACTOR_VERDICTS = { 0: 'AC', 1: 'WA', 2: 'PE' };
+
+// Run a solution against an interactor, each one's stdout piped into the other's stdin.
+// Records the exchange when a transcript is requested.
+export function runInteraction(solution, interactor, { limits = {}, record = false } = {}) {
+    return new Promise((resolve) => {
+        const startedAt = performance.now();
+        const { child: solutionChild, measured } = spawnMeasured(solution, {
+            stdio: ['pipe', 'pipe', 'inherit'],
+            memoryLimit: limits.memoryLimit,
+            env: process.env
+        });
+        const readMeasuredPeak = measured ? collectPeakMemory(solutionChild) : null;
+        const interactorChild = spawn(interactor.command, interactor.args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        const transcript = [];
+        let interactorStderr = '';
+        let memory = null;
+        let killedFor = null;
+        let error = null;
+        // Set when the solution is stopped by us rather than ending on its own
+        let solutionKilled = false;
+        const exits = {};
+
+        const forward = (from, to, direction) => {
+            // Programs may flush half a line at a time, so the transcript is kept line by line
+            let pending = '';
+            from.stdout.on('data', (chunk) => {
+                if (record) {
+                    const lines = (pending + chunk.toString()).split('\n');
+                    pending = lines.pop();
+                    lines.forEach(line => transcript.push(`${direction} ${line}\n`));
+                }
+                to.stdin.write(chunk);
+            });
+            from.stdout.on('end', () => {
+                if (record && pending) transcript.push(`${direction} ${pending}\n`);
+                to.stdin.end();
+            });
+            // The other side may exit before reading everything
+            to.stdin.on('error', () => {});
+        };
+        forward(solutionChild, interactorChild, '>');
+        forward(interactorChild, solutionChild, '<');
+        interactorChild.stderr.setEncoding('utf8');
+        interactorChild.stderr.on('data', (chunk) => { interactorStderr += chunk; });
+
+        const killAll = (verdict) => {
+            if (killedFor) return;
+            killedFor = verdict;
+            solutionKilled = true;
+            solutionChild.kill('SIGKILL');
+            interactorChild.kill('SIGKILL');
+        };
+
+        const timer = limits.timeLimit ? setTimeout(() => killAll('TLE'), limits.timeLimit) : null;
+        const sampler = measured ? null : setInterval(() => {
+            const peak = readPeakMemory(solutionChild.pid);
+            if (peak === null) return;
+            memory = Math.max(memory || 0, peak);
+            if (limits.memoryLimit && memory > limits.memoryLimit * 1024 * 1024) killAll('MLE');
+        }, 5);
+
+        const onExit = (name) => (status, signal) => {
+            exits[name] = { status, signal };
+            if (name === 'solution' && readMeasuredPeak) memory = readMeasuredPeak();
+            // Nobody is left to answer a program whose partner has failed
+            if (name === 'interactor' && status !== 0 && !exits.solution) {
+                solutionKilled = true;
+                solutionChild.kill('SIGKILL');
+            }
+            if (!exits.solution || !exits.interactor) return;
+
+            clearTimeout(timer);
+            clearInterval(sampler);
+            const time = Math.round(performance.now() - startedAt);
+            let verdict = killedFor || error;
+            if (!verdict && limits.memoryLimit && memory !== null && memory > limits.memoryLimit * 1024 * 1024) verdict = 'MLE';
+            // A crashing solution usually leaves the interactor failing on EOF, so its own exit comes first.
+            // Only our SIGKILL is ours: a solution that crashed before it arrived still counts as RE.
+            const stoppedByUs = solutionKilled && exits.solution.signal === 'SIGKILL';
+            if (!verdict && !stoppedByUs && (exits.solution.signal || exits.solution.status !== 0)) verdict = 'RE';
+            if (!verdict) verdict = INTERACTOR_VERDICTS[exits.interactor.status] || 'FAIL';
+            resolve({ verdict, time, memory, exits, transcript: transcript.join(''), interactorStderr });
+        };
+
+        const onError = (name) => (spawnError) => {
+            error = 'FAIL';
+            interactorStderr += `Could not start ${name}: ${spawnError.message}\n`;
+            killAll(null);
+        };
+
+        solutionChild.on('close', onExit('solution'));
+        interactorChild.on('close', onExit('interactor'));
+        solutionChild.on('error', onError('solution'));
+        interactorChild.on('error', onError('interactor'));
+    });
+}
@@ -0,0 +1,58 @@
+import path from "path";
+
+// Show a stored absolute path relative to the current directory when it lies inside it
+export function displayPath(filename) {
+    const relative = path.relative(process.cwd(), filename);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filename;
+}
+
+// Helper function to get time ago string
+export function getTimeAgo(date) {
+    const now = new Date();
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+    const diffDays = Math.floor(diffMs / 86400000);
+    
+    if (diffMins < 1) return 'just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    if (diffDays < 7) return `${diffDays}d ago`;
+    return date.toLocaleDateString();
+}
+
+// Format a number of seconds as e.g. "1h 05m 09s"
+export function formatSeconds(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}h ${pad(minutes)}m ${pad(secs)}s` : `${minutes}m ${pad(secs)}s`;
+}
+
+// Format a date as YYYY-MM-DD in local time
+export function formatLocalDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Describe a pair of limits for display
+export function formatLimits(limits) {
+    const time = limits.timeLimit ? `${limits.timeLimit} ms` : 'none';
+    const memory = limits.memoryLimit ? `${limits.memoryLimit} MB` : 'none';
+    const size = limits.sizeLimit ? `, source ${limits.sizeLimit} KB` : '';
+    return `time ${time}, memory ${memory}${size}`;
+}
+
+// Describe the wall time and peak memory of a finished run
+export function formatUsage(result) {
+    const memory = result.memory === null ? 'n/a' : `${(result.memory / (1024 * 1024)).toFixed(1)} MB`;
+    return `${result.time} ms, ${memory}`;
+}
+
+// Describe a judge for display
+export function formatJudge(judge) {
+    if (judge.checker) return 'checker';
+    if (judge.mode === 'float') return `float (abs ${judge.absEps}, rel ${judge.relEps})`;
+    return judge.mode;
+}
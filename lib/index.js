@@ -0,0 +1,464 @@
+// Programmatic API of nomouse-cli. Every function works on the same storage as the `nms`
+// command and returns plain objects instead of printing, so editors and scripts can reuse it.
+import fs from 'fs-extra';
+import path from "path";
+import os from "os";
+import clipboardy from 'clipboardy';
+import { contextFor, contextOfFile, saveState as writeState } from './storage.js';
+import {
+    recordRun,
+    registerFileWinded,
+    getSessions,
+    isTimerRunning,
+    pauseTimer,
+    resumeTimer,
+    retrieveSecondsSpent,
+    retrieveSecondsSinceLastWind,
+    getFileTimestamps,
+    resolveTrackedFile,
+    resolveTargetFile
+} from './timers.js';
+import { generateFile, getDefaultTemplateName } from './templates.js';
+import { prepareSubmission } from './bundle.js';
+import { compileSource } from './build.js';
+import { executeProgram, runInteraction } from './execute.js';
+import { findSampleCases } from './samples.js';
+import { DEFAULT_LIMITS, createJudge, helperLimitsFor, judgeOutput, resolveLimits, judgeSampleCase } from './judge.js';
+import { CLOSE_TO_LIMIT_RATIO, STARTUP_SIZE, median, estimateGrowth } from './bench.js';
+
+export { storageDir, templatesDir, exeDir, contextFor } from './storage.js';
+export { CONFIG_FILE_NAME, findConfigFile, loadWorkspace } from './config.js';
+export { DEFAULT_TEMPLATE_NAME, listTemplates, readTemplate, getDefaultTemplateName, expandTemplate } from './templates.js';
+export { DEFAULT_LANGUAGES, loadLanguages, saveLanguages, compileSource as compile, cleanBuildCache } from './build.js';
+export { executeProgram, runInteraction, describeExit } from './execute.js';
+export { COMPARE_MODES, DEFAULT_LIMITS, HELPER_TIME_FACTOR, createJudge, compareOutputs, judgeOutput, resolveLimits } from './judge.js';
+export { MIN_MEASURABLE_MS, CLOSE_TO_LIMIT_RATIO, STARTUP_SIZE, GROWTH_MODELS, estimateGrowth } from './bench.js';
+export { findSampleCases, parseSamplesFromText, parseSamplesFromHtml } from './samples.js';
+export { prepareSubmission } from './bundle.js';
+export { collectPracticeStats, practiceStatsToCsv } from './stats.js';
+export { createBundle, readBundle, planImport, applyImport } from './sync.js';
+export { listBackups, restoreBackup } from './backups.js';
+export { SNIPPET_MARKER, listSnippets, readSnippet, saveSnippet, insertSnippet } from './snippets.js';
+
+/**
+ * The persistent state shared with the CLI (last files, statistics, timers, limits) of the workspace
+ * a directory belongs to. Changes are kept once `saveState()` is called for the same directory.
+ * @param {string} [dir] defaults to the current directory
+ * @returns {object}
+ */
+export function getState(dir = process.cwd()) {
+    return contextFor(dir).state;
+}
+
+/**
+ * Write the state returned by `getState()` back to disk.
+ * @param {string} [dir] defaults to the current directory
+ */
+export function saveState(dir = process.cwd()) {
+    writeState(contextFor(dir).state);
+}
+
+/**
+ * Create a file from a template and start its timer.
+ * @param {string} filename
+ * @param {{ template?: string, variables?: object }} [options] template name and extra {{placeholders}}
+ * @returns {Promise<{ filename, template, content, cursor, unknown } | null>} null when the template does not exist
+ */
+export async function generate(filename, { template, variables = {} } = {}) {
+    const templateName = template || getDefaultTemplateName(path.extname(filename), path.dirname(path.resolve(filename)));
+    const generated = await generateFile(filename, { templateName, variables });
+    if (!generated) return null;
+
+    const { state } = contextOfFile(filename);
+    state.lastGenerated = path.resolve(filename);
+    writeState(state);
+    return { filename, template: templateName, ...generated };
+}
+
+/**
+ * Compile a file if needed and run it under the stored limits.
+ * Without `input` the program is attached to the terminal; otherwise stdout and stderr are captured.
+ * @param {string} filename
+ * @param {{ input?: string, debug?: boolean, timeLimit?: number, memoryLimit?: number,
+ *           onProgress?: (message: string) => void, onCompile?: (compiled: object) => void }} [options]
+ *        limits in milliseconds and megabytes
+ * @returns {Promise<{ filename, compiled, limits, verdict, status, signal, stdout, stderr, time, memory }>}
+ *          verdict is 'CE', 'TLE', 'MLE', 'RE' or null when the program ended normally
+ */
+export async function run(filename, { input = null, debug = false, timeLimit, memoryLimit, onProgress, onCompile } = {}) {
+    if (!await fs.pathExists(filename)) {
+        throw new Error(`File ${filename} does not exist`);
+    }
+    recordRun(filename);
+
+    const compiled = await compileSource(filename, { debug, onProgress });
+    if (onCompile) onCompile(compiled);
+    if (!compiled.ok) {
+        return { filename, compiled, limits: null, verdict: 'CE', status: null, signal: null, stdout: '', stderr: '', time: null, memory: null };
+    }
+
+    const limits = resolveLimits(filename, { timeLimit, memoryLimit });
+    // Sanitizers reserve far more memory than the program itself uses
+    if (debug) limits.memoryLimit = null;
+    const result = await executeProgram(compiled.executable, { input, limits });
+    return { filename, compiled, limits, ...result };
+}
+
+// Throw when one of the files is missing
+async function ensureFilesExist(files) {
+    for (const file of files) {
+        if (!await fs.pathExists(file)) {
+            throw new Error(`File ${file} does not exist`);
+        }
+    }
+}
+
+// Compile sources in order, stopping at the first failure.
+// Resolves to { ok, compiled } where compiled holds the compile result of each key reached.
+async function compileAll(files, { onProgress, onCompile }) {
+    const compiled = {};
+    for (const [key, file] of Object.entries(files)) {
+        compiled[key] = await compileSource(file, { onProgress });
+        if (onCompile) onCompile(compiled[key]);
+        if (!compiled[key].ok) return { ok: false, compiled };
+    }
+    return { ok: true, compiled };
+}
+
+// Compile a checker source into a judge made by createJudge; resolves to the compile result
+async function attachChecker(judge, checker, { onProgress, onCompile }) {
+    if (onProgress) onProgress(`Preparing checker ${checker}...`);
+    const compiled = await compileSource(checker, { onProgress });
+    if (onCompile) onCompile(compiled);
+    if (compiled.ok) judge.checker = compiled.executable;
+    return compiled;
+}
+
+/**
+ * Compile a file and judge it against its sample cases
+ * (`a.in1`/`a.out1` next to it, or `tests/a/*.in`/`*.out`).
+ * @param {string} filename
+ * @param {{ debug?: boolean, timeLimit?: number, memoryLimit?: number,
+ *           compare?: 'lines'|'tokens'|'float'|'yesno'|'unordered', absEps?: number, relEps?: number,
+ *           checker?: string, onProgress?: (message: string) => void, onCompile?: (compiled: object) => void,
+ *           onStart?: (info: { cases, limits, judge }) => void, onCase?: (result: object) => void,
+ *           compileWithoutSamples?: boolean }} [options]
+ *        `checker` is a testlib-style checker source run as `checker <input> <output> <answer>`;
+ *        `compileWithoutSamples` still compiles the file when it has no sample cases, so compile errors show up
+ * @returns {Promise<{ filename, limits, judge, compiled, checker, cases, passed, total }>}
+ *          each case holds name, verdict (AC/WA/PE/TLE/MLE/RE, or FAIL when the checker failed), time, memory, stdout, stderr and mismatch
+ */
+export async function test(filename, options = {}) {
+    const { debug = false, onProgress, onCompile, onStart, onCase } = options;
+    if (!await fs.pathExists(filename)) {
+        throw new Error(`File ${filename} does not exist`);
+    }
+
+    const samples = await findSampleCases(filename);
+    const limits = resolveLimits(filename, options, DEFAULT_LIMITS);
+    if (debug) limits.memoryLimit = null;
+    const judge = createJudge(options);
+    const report = { filename, limits, judge, compiled: null, checker: null, cases: [], passed: 0, total: samples.length };
+    if (samples.length === 0) {
+        if (options.compileWithoutSamples) {
+            report.compiled = await compileSource(filename, { debug, onProgress });
+            if (onCompile) onCompile(report.compiled);
+        }
+        return report;
+    }
+
+    recordRun(filename);
+    if (onStart) onStart({ cases: samples, limits, judge: { ...judge, checker: options.checker || null } });
+
+    report.compiled = await compileSource(filename, { debug, onProgress });
+    if (onCompile) onCompile(report.compiled);
+    if (!report.compiled.ok) return report;
+
+    if (options.checker) {
+        report.checker = await attachChecker(judge, options.checker, { onProgress, onCompile });
+        if (!report.checker.ok) return report;
+    }
+
+    for (const sample of samples) {
+        const result = { name: sample.name, mismatch: null, ...await judgeSampleCase(report.compiled.executable, sample, limits, judge) };
+        if (result.verdict === 'AC') report.passed++;
+        report.cases.push(result);
+        if (onCase) onCase(result);
+    }
+    return report;
+}
+
+/**
+ * Compare a solution with a brute force on inputs printed by `generator <seed>` until their outputs differ.
+ * A failing input is kept as `tests/<name>/stress-<seed>.in` next to the solution, with the brute force's
+ * output (`.out`) and the solution's (`.actual`), so `test` picks it up.
+ * @param {string} solution
+ * @param {string} brute
+ * @param {string} generator
+ * @param {{ iterations?: number, timeBudget?: number, seed?: number, timeLimit?: number, memoryLimit?: number,
+ *           compare?: 'lines'|'tokens'|'float'|'yesno'|'unordered', absEps?: number, relEps?: number, checker?: string,
+ *           onProgress?: (message: string) => void, onCompile?: (compiled: object) => void,
+ *           onStart?: (info: { limits, helperLimits, judge }) => void,
+ *           onIteration?: (info: { iteration, seed }) => void }} [options]
+ *        stops after 1000 inputs by default, or only when `timeBudget` (ms) runs out if one is given;
+ *        the generator and brute force get HELPER_TIME_FACTOR times the solution's time limit
+ * @returns {Promise<{ verdict, iterations, elapsed, limits, helperLimits, judge, compiled, failure }>}
+ *          verdict is 'AC' when every input passed, 'CE', 'FAIL' when the generator or brute force failed,
+ *          or the solution's WA/PE/TLE/MLE/RE (FAIL with program 'solution' when the checker failed); failure holds the program ('generator', 'brute' or 'solution'),
+ *          iteration, seed and its run, plus input, expected, mismatch and casePath for the solution
+ */
+export async function stress(solution, brute, generator, options = {}) {
+    const { seed: firstSeed = 1, timeBudget = null, onProgress, onCompile, onStart, onIteration } = options;
+    await ensureFilesExist([solution, brute, generator]);
+
+    const limits = resolveLimits(solution, options, DEFAULT_LIMITS);
+    const helperLimits = helperLimitsFor(limits);
+    const judge = createJudge(options);
+    const { ok, compiled } = await compileAll({ solution, brute, generator }, { onProgress, onCompile });
+    const report = { verdict: 'CE', iterations: 0, elapsed: 0, limits, helperLimits, judge, compiled, failure: null };
+    if (!ok) return report;
+    if (options.checker) {
+        compiled.checker = await attachChecker(judge, options.checker, { onProgress, onCompile });
+        if (!compiled.checker.ok) return report;
+    }
+    if (onStart) onStart({ limits, helperLimits, judge });
+
+    const iterations = options.iterations ?? (timeBudget ? Infinity : 1000);
+    const startedAt = Date.now();
+    const finish = (verdict, failure = null) => Object.assign(report, { verdict, failure, elapsed: Date.now() - startedAt });
+    const { executable: generatorExecutable } = compiled.generator;
+
+    while (report.iterations < iterations) {
+        if (timeBudget && Date.now() - startedAt >= timeBudget) break;
+
+        const seed = firstSeed + report.iterations;
+        const iteration = ++report.iterations;
+
+        const generated = await executeProgram({ ...generatorExecutable, args: [...generatorExecutable.args, String(seed)] }, { input: '', limits: helperLimits });
+        if (generated.verdict) return finish('FAIL', { program: 'generator', iteration, seed, ...generated });
+
+        const expected = await executeProgram(compiled.brute.executable, { input: generated.stdout, limits: helperLimits });
+        if (expected.verdict) return finish('FAIL', { program: 'brute', iteration, seed, ...expected });
+
+        const actual = await executeProgram(compiled.solution.executable, { input: generated.stdout, limits });
+        const mismatch = actual.verdict ? null : await judgeOutput(generated.stdout, expected.stdout, actual.stdout, judge);
+        if (!actual.verdict && !mismatch) {
+            if (onIteration) onIteration({ iteration, seed });
+            continue;
+        }
+
+        // Store the failing input as a sample case so `test` picks it up
+        const baseName = path.basename(solution, path.extname(solution));
+        const testsDir = path.join(path.dirname(solution), 'tests', baseName);
+        const casePath = path.join(testsDir, `stress-${seed}`);
+        await fs.ensureDir(testsDir);
+        await fs.writeFile(`${casePath}.in`, generated.stdout);
+        await fs.writeFile(`${casePath}.out`, expected.stdout);
+        await fs.writeFile(`${casePath}.actual`, actual.stdout);
+
+        const verdict = actual.verdict || mismatch.verdict || 'WA';
+        return finish(verdict, { program: 'solution', iteration, seed, ...actual, verdict, input: generated.stdout, expected: expected.stdout, mismatch, casePath });
+    }
+    return finish('AC');
+}
+
+/**
+ * Run a solution against an interactor, each one's stdout piped into the other's stdin.
+ * The interactor's exit code decides the verdict: 0 AC, 1 WA, 2 PE, anything else FAIL.
+ * @param {string} solution
+ * @param {string} interactor
+ * @param {{ input?: string, timeLimit?: number, memoryLimit?: number, transcript?: boolean,
+ *           onProgress?: (message: string) => void, onCompile?: (compiled: object) => void,
+ *           onStart?: (info: { limits }) => void }} [options]
+ *        `input` is a test file passed to the interactor as `interactor <input> <output>`;
+ *        `transcript` records the exchange, solution lines prefixed with `> ` and interactor lines with `< `
+ * @returns {Promise<{ verdict, limits, compiled, time, memory, exits, interactorStderr, transcript }>}
+ *          verdict is 'CE', 'AC', 'WA', 'PE', 'FAIL', 'TLE', 'MLE' or 'RE';
+ *          exits holds the status and signal of the solution and the interactor
+ */
+export async function interact(solution, interactor, { input = null, transcript = false, onProgress, onCompile, onStart, ...limitOptions } = {}) {
+    await ensureFilesExist([solution, interactor, input].filter(Boolean));
+    recordRun(solution);
+
+    const limits = resolveLimits(solution, limitOptions, DEFAULT_LIMITS);
+    const { ok, compiled } = await compileAll({ solution, interactor }, { onProgress, onCompile });
+    if (!ok) {
+        return { verdict: 'CE', limits, compiled, time: null, memory: null, exits: null, interactorStderr: '', transcript: '' };
+    }
+    if (onStart) onStart({ limits });
+
+    const interactorExecutable = { ...compiled.interactor.executable };
+    const outputDir = input ? await fs.mkdtemp(path.join(os.tmpdir(), 'nomouse-interact-')) : null;
+    if (input) {
+        interactorExecutable.args = [...interactorExecutable.args, input, path.join(outputDir, 'output.txt')];
+    }
+    try {
+        const result = await runInteraction(compiled.solution.executable, interactorExecutable, { limits, record: transcript });
+        return { ...result, limits, compiled };
+    } finally {
+        if (outputDir) await fs.remove(outputDir);
+    }
+}
+
+/**
+ * Time a solution on inputs printed by `generator <size> <seed>` for each size, `repeat` times per size
+ * with consecutive seeds, and guess its complexity. Stops at the first size where the solution fails.
+ * The time of a run on an input of size STARTUP_SIZE is taken as startup and left out of the estimate.
+ * The generator gets HELPER_TIME_FACTOR times the solution's time limit.
+ * @param {string} solution
+ * @param {string} generator
+ * @param {{ sizes: number[], repeat?: number, seed?: number, timeLimit?: number, memoryLimit?: number,
+ *           onProgress?: (message: string) => void, onCompile?: (compiled: object) => void,
+ *           onStart?: (info: { limits, helperLimits, repeat, baseline }) => void, onSize?: (row: object) => void }} options
+ * @returns {Promise<{ verdict, limits, helperLimits, compiled, baseline, rows, growth, risky, failure }>}
+ *          verdict is 'CE', 'FAIL' when the generator failed or timed out, the solution's TLE/MLE/RE, or null;
+ *          each row holds size, times, median, max (ms), share of the time limit and failure;
+ *          baseline is the startup time in ms, or null when the size STARTUP_SIZE input could not be run;
+ *          growth comes from estimateGrowth and risky lists the sizes close to the time limit
+ */
+export async function bench(solution, generator, { sizes, repeat = 5, seed: firstSeed = 1, onProgress, onCompile, onStart, onSize, ...limitOptions }) {
+    await ensureFilesExist([solution, generator]);
+    repeat = Math.max(1, repeat || 1);
+
+    const limits = resolveLimits(solution, limitOptions, DEFAULT_LIMITS);
+    const helperLimits = helperLimitsFor(limits);
+    const { ok, compiled } = await compileAll({ solution, generator }, { onProgress, onCompile });
+    const report = { verdict: 'CE', limits, helperLimits, compiled, baseline: null, rows: [], growth: null, risky: [], failure: null };
+    if (!ok) return report;
+    report.verdict = null;
+
+    const { executable: generatorExecutable } = compiled.generator;
+    // The generator gets the size first and the seed second
+    const generate = (size, seed) => executeProgram({ ...generatorExecutable, args: [...generatorExecutable.args, String(size), String(seed)] }, { input: '', limits: helperLimits });
+    const generatorFailed = (size, seed, generated) => Object.assign(report, { verdict: 'FAIL', failure: { program: 'generator', size, seed, ...generated } });
+
+    const startupTimes = [];
+    for (let run = 0; run < repeat; run++) {
+        const seed = firstSeed + run;
+        const generated = await generate(STARTUP_SIZE, seed);
+        // A generator that cannot make such a small input only costs the baseline, but one that hangs would hang every size
+        if (generated.verdict === 'TLE') return generatorFailed(STARTUP_SIZE, seed, generated);
+        const result = generated.verdict ? null : await executeProgram(compiled.solution.executable, { input: generated.stdout, limits });
+        if (!result || result.verdict) break;
+        startupTimes.push(result.time);
+    }
+    if (startupTimes.length === repeat) report.baseline = median(startupTimes);
+    if (onStart) onStart({ limits, helperLimits, repeat, baseline: report.baseline });
+
+    for (const size of sizes) {
+        const times = [];
+        let failure = null;
+
+        for (let run = 0; run < repeat && !failure; run++) {
+            const seed = firstSeed + run;
+            const generated = await generate(size, seed);
+            if (generated.verdict) return generatorFailed(size, seed, generated);
+
+            const result = await executeProgram(compiled.solution.executable, { input: generated.stdout, limits });
+            times.push(result.time);
+            if (result.verdict) failure = { program: 'solution', size, seed, ...result };
+        }
+
+        const max = Math.max(...times);
+        const row = { size, times, median: median(times), max, share: limits.timeLimit ? max / limits.timeLimit : 0, failure };
+        report.rows.push(row);
+        if (failure) {
+            // Larger inputs would only fail the same way, more slowly
+            Object.assign(report, { verdict: failure.verdict, failure });
+        } else if (row.share >= CLOSE_TO_LIMIT_RATIO) {
+            report.risky.push(size);
+        }
+        if (onSize) onSize(row);
+        if (failure) break;
+    }
+
+    report.growth = estimateGrowth(report.rows.filter(row => !row.failure).map(row => ({ size: row.size, time: row.median })), report.baseline || 0);
+    return report;
+}
+
+// Resolve a target to a file that still exists, as wind, pause and resume expect
+async function resolveExistingTarget(target) {
+    const filename = resolveTargetFile(target);
+    if (!filename) {
+        throw new Error('No file has been generated or run yet. Use "nms gen" or "nms run" first.');
+    }
+    if (!await fs.pathExists(filename)) {
+        throw new Error(`${target ? 'File' : 'Last file'} ${filename} no longer exists`);
+    }
+    return filename;
+}
+
+/**
+ * Prepare a file for submission and copy it to the clipboard.
+ * @param {string} [target] a problem of the current contest or a file; defaults to the last run/generated file
+ * @param {{ bundle?: boolean, copy?: boolean }} [options] `copy: false` skips the clipboard
+ * @returns {Promise<{ filename, content, size, sizeLimit, secondsSpent, secondsSinceLastWind }>}
+ *          size in bytes, sizeLimit in kilobytes; times are null for untracked files
+ */
+export async function wind(target, { bundle = false, copy = true } = {}) {
+    const filename = await resolveExistingTarget(target);
+    const content = prepareSubmission(filename, { bundle });
+    if (copy) clipboardy.writeSync(content);
+
+    const trackedFile = resolveTrackedFile(filename);
+    // Measured before the new wind is registered
+    const sinceLastWind = retrieveSecondsSinceLastWind(trackedFile);
+    registerFileWinded(trackedFile);
+
+    const secondsSpent = retrieveSecondsSpent(trackedFile);
+    return {
+        filename,
+        content,
+        size: Buffer.byteLength(content, 'utf8'),
+        sizeLimit: resolveLimits(trackedFile).sizeLimit,
+        secondsSpent: secondsSpent >= 0 ? secondsSpent : null,
+        secondsSinceLastWind: sinceLastWind >= 0 ? sinceLastWind : null
+    };
+}
+
+/**
+ * Time spent on a file, excluding paused periods.
+ * @param {string} [target] a problem of the current contest or a file; defaults to the last run/generated file
+ * @returns {{ filename, tracked, running, secondsSpent, sessions }}
+ */
+export function getTimer(target) {
+    const filename = resolveTargetFile(target);
+    if (!filename) {
+        throw new Error('No file has been generated or run yet. Use "nms gen" or "nms run" first.');
+    }
+    const trackedFile = resolveTrackedFile(filename);
+    if (!getFileTimestamps(trackedFile)) {
+        return { filename, tracked: false, running: false, secondsSpent: null, sessions: [] };
+    }
+    return {
+        filename,
+        tracked: true,
+        running: isTimerRunning(trackedFile),
+        secondsSpent: retrieveSecondsSpent(trackedFile),
+        sessions: getSessions(trackedFile)
+    };
+}
+
+/**
+ * Pause the timer of a file.
+ * @param {string} [target]
+ * @returns {Promise<{ filename, tracked, running, secondsSpent, sessions, changed }>} changed is false if it was already paused
+ */
+export async function pause(target) {
+    const filename = await resolveExistingTarget(target);
+    const paused = pauseTimer(resolveTrackedFile(filename));
+    return { ...getTimer(filename), changed: paused !== undefined && paused !== -1 };
+}
+
+/**
+ * Resume the timer of a file.
+ * @param {string} [target]
+ * @returns {Promise<{ filename, tracked, running, secondsSpent, sessions, changed, secondsPaused }>}
+ *          changed is false if it was already running
+ */
+export async function resume(target) {
+    const filename = await resolveExistingTarget(target);
+    const elapsed = resumeTimer(resolveTrackedFile(filename));
+    const changed = elapsed !== null && elapsed !== -1;
+    return { ...getTimer(filename), changed, secondsPaused: changed ? elapsed : null };
+}
@@ -0,0 +1,180 @@
+import fs from 'fs-extra';
+import path from "path";
+import os from "os";
+import { contextFor, contextOfFile } from './storage.js';
+import { executeProgram } from './execute.js';
+
+// Normalize line endings and ignore trailing whitespace, as most judges do
+function normalizeOutput(text) {
+    return text
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .trimEnd();
+}
+
+// How outputs are compared when no checker program is given
+export const COMPARE_MODES = {
+    lines: 'line by line, ignoring trailing whitespace',
+    tokens: 'token by token, ignoring all whitespace',
+    float: 'token by token, numbers within --abs-eps/--rel-eps',
+    yesno: 'token by token, ignoring case',
+    unordered: 'lines in any order'
+};
+
+// Locate the first differing line between expected and actual lines
+function findFirstLineMismatch(expectedLines, actualLines, label = 'line') {
+    const lineCount = Math.max(expectedLines.length, actualLines.length);
+
+    for (let i = 0; i < lineCount; i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            return { location: `${label} ${i + 1}`, expected: expectedLines[i], actual: actualLines[i] };
+        }
+    }
+    return null;
+}
+
+// Locate the first differing whitespace-separated token
+function findFirstTokenMismatch(expected, actual, tokensEqual) {
+    const expectedTokens = expected.split(/\s+/).filter(Boolean);
+    const actualTokens = actual.split(/\s+/).filter(Boolean);
+    const tokenCount = Math.max(expectedTokens.length, actualTokens.length);
+
+    for (let i = 0; i < tokenCount; i++) {
+        const expectedToken = expectedTokens[i];
+        const actualToken = actualTokens[i];
+        if (expectedToken === undefined || actualToken === undefined || !tokensEqual(expectedToken, actualToken)) {
+            return { location: `token ${i + 1}`, expected: expectedToken, actual: actualToken };
+        }
+    }
+    return null;
+}
+
+// Compare two tokens as numbers when both are numeric, accepting an absolute or relative error
+function numericTokensEqual(expected, actual, absEps, relEps) {
+    const numeric = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+    if (!numeric.test(expected) || !numeric.test(actual)) return expected === actual;
+    const difference = Math.abs(Number(expected) - Number(actual));
+    return difference <= absEps || difference <= relEps * Math.abs(Number(expected));
+}
+
+// Compare outputs with the judge's mode; returns the first mismatch or null when accepted
+export function compareOutputs(expected, actual, judge = {}) {
+    const { mode = 'lines', absEps = 1e-6, relEps = 1e-6 } = judge;
+
+    switch (mode) {
+        case 'tokens':
+            return findFirstTokenMismatch(expected, actual, (a, b) => a === b);
+        case 'float':
+            return findFirstTokenMismatch(expected, actual, (a, b) => numericTokensEqual(a, b, absEps, relEps));
+        case 'yesno':
+            return findFirstTokenMismatch(expected, actual, (a, b) => a.toLowerCase() === b.toLowerCase());
+        case 'unordered':
+            return findFirstLineMismatch(
+                normalizeOutput(expected).split('\n').sort(),
+                normalizeOutput(actual).split('\n').sort(),
+                'sorted line'
+            );
+        default:
+            return findFirstLineMismatch(normalizeOutput(expected).split('\n'), normalizeOutput(actual).split('\n'));
+    }
+}
+
+// Verdicts reported by testlib-style checkers through their exit code; any other exit, including
+// testlib's own FAIL (3), a crash or a timeout, means the checker itself failed
+const CHECKER_VERDICTS = { 1: 'WA', 2: 'PE' };
+
+// How long a checker may run (ms)
+const CHECKER_TIME_LIMIT = 10000;
+
+// Run a testlib-style checker as `checker <input> <output> <answer>`; exit code 0 means accepted.
+// A rejection carries the verdict: WA, PE, or FAIL when the checker failed.
+async function runChecker(checker, input, expected, actual) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nomouse-check-'));
+    try {
+        const inputPath = path.join(dir, 'input.txt');
+        const outputPath = path.join(dir, 'output.txt');
+        const answerPath = path.join(dir, 'answer.txt');
+        await fs.writeFile(inputPath, input);
+        await fs.writeFile(outputPath, actual);
+        await fs.writeFile(answerPath, expected);
+
+        const result = await executeProgram(
+            { ...checker, args: [...checker.args, inputPath, outputPath, answerPath] },
+            { input: '', limits: { timeLimit: CHECKER_TIME_LIMIT } }
+        );
+        if (result.verdict === 'TLE') {
+            return { location: 'checker', verdict: 'FAIL', message: `exceeded its ${CHECKER_TIME_LIMIT} ms time limit` };
+        }
+        if (result.status === 0) return null;
+
+        const verdict = CHECKER_VERDICTS[result.status] || 'FAIL';
+        const exit = result.signal ? `killed by ${result.signal}` : `exited with code ${result.status}`;
+        const output = (result.stderr || result.stdout).trim();
+        return { location: 'checker', verdict, message: verdict === 'FAIL' && output ? `${exit}: ${output}` : output || exit };
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+// Judge a program's output, with the checker program when one is configured.
+// Returns null when accepted, otherwise the mismatch; checker rejections also carry their verdict.
+export async function judgeOutput(input, expected, actual, judge = {}) {
+    if (judge.checker) {
+        return runChecker(judge.checker, input, expected, actual);
+    }
+    return compareOutputs(expected, actual, judge);
+}
+
+// Comparison settings for judgeOutput from the compare, absEps and relEps options of test and stress.
+// `checker` stays null until a checker source has been compiled into it.
+export function createJudge({ compare, absEps, relEps } = {}) {
+    return { mode: compare || 'lines', absEps: absEps ?? 1e-6, relEps: relEps ?? 1e-6, checker: null };
+}
+
+// Limits applied to `nms test` when nothing is configured (time in ms, memory in MB)
+export const DEFAULT_LIMITS = { timeLimit: 2000, memoryLimit: 256 };
+
+// How many times the solution's time limit the generators of `stress` and `bench` and the brute force may take
+export const HELPER_TIME_FACTOR = 10;
+
+// Limits of those helper programs: they may be slow, but must not hang the whole run
+export function helperLimitsFor(limits) {
+    return { timeLimit: (limits.timeLimit || DEFAULT_LIMITS.timeLimit) * HELPER_TIME_FACTOR };
+}
+
+// Limits stored for one file, by absolute path (older versions used the name as typed)
+export function getFileLimits(filename) {
+    const fileLimits = contextOfFile(filename).state.fileLimits || {};
+    return fileLimits[path.resolve(filename)] || fileLimits[filename] || {};
+}
+
+// Combine limits, from highest to lowest priority: command-line options, the file's stored limits,
+// the workspace's .nomousrc, the limits stored for the workspace, then the global ones.
+// The workspace is the one the file belongs to, or the current directory's without a file.
+export function resolveLimits(filename, options = {}, fallback = {}) {
+    const { workspace, state, globalState } = filename ? contextOfFile(filename) : contextFor();
+    const sources = [
+        options,
+        filename ? getFileLimits(filename) : {},
+        workspace ? workspace.limits : {},
+        state.limits || {},
+        globalState.limits || {},
+        fallback
+    ];
+    const pick = (key) => sources.map(source => source[key]).find(value => value !== undefined && value !== null) ?? null;
+    return { timeLimit: pick('timeLimit'), memoryLimit: pick('memoryLimit'), sizeLimit: pick('sizeLimit') };
+}
+
+// Run one sample case and judge its output
+export async function judgeSampleCase(executable, sample, limits, judge) {
+    const input = await fs.readFile(sample.inputPath, 'utf8');
+    const expected = await fs.readFile(sample.outputPath, 'utf8');
+    const result = await executeProgram(executable, { input, limits });
+
+    if (result.verdict) return result;
+
+    const mismatch = await judgeOutput(input, expected, result.stdout, judge);
+    return mismatch ? { ...result, verdict: mismatch.verdict || 'WA', mismatch } : { ...result, verdict: 'AC' };
+}
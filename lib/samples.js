@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+import path from "path";
+
+// Escape a string so it can be embedded in a regular expression
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Sample slots created by `nms contest` stay empty until they are filled in
+async function isEmptySampleSlot(inputPath, outputPath) {
+    const [inputStat, outputStat] = await Promise.all([fs.stat(inputPath), fs.stat(outputPath)]);
+    return inputStat.size === 0 && outputStat.size === 0;
+}
+
+// Find sample cases stored next to a source file:
+// `a.in1`/`a.out1` siblings or `*.in`/`*.out` pairs inside `tests/a/`
+export async function findSampleCases(filename) {
+    const dir = path.dirname(filename);
+    const baseName = path.basename(filename, path.extname(filename));
+    const cases = [];
+
+    const siblingPattern = new RegExp(`^${escapeRegExp(baseName)}\\.in(\\d+)$`);
+    for (const entry of await fs.readdir(dir)) {
+        const match = entry.match(siblingPattern);
+        if (!match) continue;
+        const outputPath = path.join(dir, `${baseName}.out${match[1]}`);
+        if (!await fs.pathExists(outputPath)) continue;
+        if (await isEmptySampleSlot(path.join(dir, entry), outputPath)) continue;
+        cases.push({ name: entry, inputPath: path.join(dir, entry), outputPath });
+    }
+
+    const testsDir = path.join(dir, 'tests', baseName);
+    if (await fs.pathExists(testsDir)) {
+        for (const entry of await fs.readdir(testsDir)) {
+            if (path.extname(entry) !== '.in') continue;
+            const outputPath = path.join(testsDir, `${path.basename(entry, '.in')}.out`);
+            if (!await fs.pathExists(outputPath)) continue;
+            if (await isEmptySampleSlot(path.join(testsDir, entry), outputPath)) continue;
+            cases.push({ name: path.join('tests', baseName, entry), inputPath: path.join(testsDir, entry), outputPath });
+        }
+    }
+
+    return cases.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+// Numbered headings that introduce a sample block, in English (AtCoder style) and Japanese
+const NUMBERED_SAMPLE_HEADING = /^(?:Sample\s+(Input|Output)\s*(\d+)|(入力例|出力例)\s*(\d+))$/i;
+
+// Codeforces lists its samples under "Example(s)" with bare Input/Output headings,
+// which elsewhere title the input and output format sections
+const EXAMPLES_HEADING = /^Examples?$/i;
+const UNNUMBERED_SAMPLE_HEADING = /^(Input|Output)$/i;
+
+// Other section titles of a statement, which end an unnumbered sample block
+const SECTION_HEADING = /^(?:Notes?|Explanations?|Hints?|Interaction|Scoring|Constraints|Problem\s+Statement|Statement)$/i;
+
+// Interpret a heading as { kind: 'input' | 'output', number, numbered } or null.
+// Bare Input/Output only count inside an examples section.
+function parseSampleHeading(text, context) {
+    const title = text.trim().replace(/\s*Copy$/i, '');
+    const match = title.match(NUMBERED_SAMPLE_HEADING);
+    if (match && match[1]) return { kind: match[1].toLowerCase(), number: parseInt(match[2], 10), numbered: true };
+    if (match) return { kind: match[3] === '入力例' ? 'input' : 'output', number: parseInt(match[4], 10), numbered: true };
+
+    const unnumbered = context.examples && title.match(UNNUMBERED_SAMPLE_HEADING);
+    if (!unnumbered) return null;
+    // Each Input starts a new sample
+    const kind = unnumbered[1].toLowerCase();
+    if (kind === 'input') context.counter++;
+    return { kind, number: context.counter, numbered: false };
+}
+
+// Record a sample block unless the same one was already seen (AtCoder repeats them per language).
+// A numbered heading replaces a block taken from a bare Input/Output heading.
+function addSampleBlock(samples, heading, text, context) {
+    const key = `${heading.number}:${heading.kind}`;
+    const sample = samples.get(heading.number) || {};
+    if (sample[heading.kind] !== undefined && !(heading.numbered && context.unnumbered.has(key))) return;
+    if (heading.numbered) {
+        context.unnumbered.delete(key);
+    } else {
+        context.unnumbered.add(key);
+    }
+    sample[heading.kind] = text.replace(/^\n+/, '').trimEnd() + '\n';
+    samples.set(heading.number, sample);
+}
+
+// Split a pasted statement into samples. A block runs until the next heading or,
+// once it has content, the first blank line (explanations usually follow one).
+export function parseSamplesFromText(text) {
+    const samples = new Map();
+    const context = { counter: 0, examples: false, unnumbered: new Set() };
+    let heading = null;
+    let lines = [];
+
+    const flush = () => {
+        if (heading && lines.length > 0) addSampleBlock(samples, heading, lines.join('\n'), context);
+        heading = null;
+        lines = [];
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        if (EXAMPLES_HEADING.test(line.trim())) {
+            flush();
+            context.examples = true;
+            continue;
+        }
+        const nextHeading = parseSampleHeading(line, context);
+        if (!nextHeading && !(heading && heading.numbered) && SECTION_HEADING.test(line.trim())) {
+            // e.g. the Note after Codeforces examples, which has no blank line before it
+            flush();
+            context.examples = false;
+        } else if (nextHeading) {
+            flush();
+            heading = nextHeading;
+        } else if (heading && line.trim() === 'Copy' && lines.length === 0) {
+            // AtCoder copy button captured with the heading
+        } else if (heading && line.trim() === '') {
+            if (lines.length > 0) flush();
+        } else if (heading) {
+            lines.push(line);
+        }
+    }
+    flush();
+    return samples;
+}
+
+// Turn the HTML inside a <pre> into plain text
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/div>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+// Pair each sample heading in a saved problem page with the <pre> block that follows it.
+// Bare Input/Output headings only count inside Codeforces' div.sample-test; any section title ends it.
+export function parseSamplesFromHtml(html) {
+    const samples = new Map();
+    const context = { counter: 0, examples: false, unnumbered: new Set() };
+    const pattern = /<pre[^>]*>([\s\S]*?)<\/pre>|>\s*((?:Sample\s+(?:Input|Output)|入力例|出力例)\s*\d+|Input|Output)\s*<|class="(sample-test|section-title)"/gi;
+    let heading = null;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        if (match[3]) {
+            context.examples = match[3].toLowerCase() === 'sample-test';
+            heading = null;
+        } else if (match[2]) {
+            heading = parseSampleHeading(match[2], context);
+        } else if (heading) {
+            addSampleBlock(samples, heading, htmlToText(match[1]), context);
+            heading = null;
+        }
+    }
+    return samples;
+}
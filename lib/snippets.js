@@ -0,0 +1,107 @@
+import fs from 'fs-extra';
+import path from "path";
+import { snippetsDir, isValidName } from './storage.js';
+import { backupFile } from './backups.js';
+
+// Line in a source file where `nms snip insert` puts snippets, e.g. `// nms:snippets`
+export const SNIPPET_MARKER = 'nms:snippets';
+
+// Tags of every snippet, keyed by snippet file name
+const tagsFile = path.join(snippetsDir, 'tags.json');
+
+function loadTags() {
+    try {
+        if (fs.existsSync(tagsFile)) {
+            return fs.readJsonSync(tagsFile);
+        }
+    } catch (error) {
+        console.warn(`Warning: Could not load ${tagsFile}, ignoring snippet tags.`);
+    }
+    return {};
+}
+
+// Snippets are stored as `<name><ext>`, so the extension tells their language
+export function snippetPathFor(ext, name) {
+    return path.join(snippetsDir, `${name}${ext}`);
+}
+
+// Every stored snippet as [{ name, ext, tags, path }], sorted by name
+export async function listSnippets() {
+    const tags = loadTags();
+    const snippets = [];
+    if (!await fs.pathExists(snippetsDir)) return snippets;
+    for (const file of (await fs.readdir(snippetsDir)).sort()) {
+        if (file === path.basename(tagsFile)) continue;
+        const ext = path.extname(file);
+        if (!ext) continue;
+        snippets.push({ name: path.basename(file, ext), ext, tags: tags[file] || [], path: path.join(snippetsDir, file) });
+    }
+    return snippets;
+}
+
+// Look up a snippet by name, for one extension or for whichever language has it.
+// Returns { name, ext, tags, path, content } or null; throws when the name is ambiguous.
+export async function readSnippet(name, ext = null) {
+    const candidates = (await listSnippets()).filter(snippet => snippet.name === name && (!ext || snippet.ext === ext));
+    if (candidates.length === 0) return null;
+    if (candidates.length > 1) {
+        throw new Error(`Snippet ${name} exists for ${candidates.map(snippet => snippet.ext).join(', ')}; choose one with --lang`);
+    }
+    return { ...candidates[0], content: await fs.readFile(candidates[0].path, 'utf8') };
+}
+
+// Store a snippet and its tags; an earlier version is backed up first
+export async function saveSnippet(name, ext, content, tags = []) {
+    if (!isValidName(name)) {
+        throw new Error(`Invalid snippet name ${name}: only letters, digits, "_" and "-" are allowed`);
+    }
+    const snippetPath = snippetPathFor(ext, name);
+    await backupFile(snippetPath);
+    await fs.outputFile(snippetPath, content);
+
+    const allTags = loadTags();
+    if (tags.length > 0) {
+        allTags[path.basename(snippetPath)] = tags;
+    } else {
+        delete allTags[path.basename(snippetPath)];
+    }
+    await fs.outputJson(tagsFile, allTags, { spaces: 2 });
+    return snippetPath;
+}
+
+// Remove a snippet, keeping a backup; returns false when it does not exist
+export async function removeSnippet(name, ext) {
+    const snippetPath = snippetPathFor(ext, name);
+    if (!await fs.pathExists(snippetPath)) return false;
+
+    await backupFile(snippetPath);
+    await fs.remove(snippetPath);
+    const allTags = loadTags();
+    delete allTags[path.basename(snippetPath)];
+    await fs.writeJson(tagsFile, allTags, { spaces: 2 });
+    return true;
+}
+
+// Line endings, indentation and blank lines should not hide a snippet that is already pasted
+function normalizeCode(code) {
+    return code.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+// Insert a snippet above the marker line, indented like the marker, so later snippets follow earlier ones.
+// Returns { status: 'inserted' | 'present' | 'no-marker', content }.
+export function insertSnippet(source, snippet) {
+    if (normalizeCode(source).includes(normalizeCode(snippet))) {
+        return { status: 'present', content: source };
+    }
+
+    const lines = source.split('\n');
+    const markerIndex = lines.findIndex(line => line.includes(SNIPPET_MARKER));
+    if (markerIndex === -1) {
+        return { status: 'no-marker', content: source };
+    }
+
+    const indent = lines[markerIndex].match(/^\s*/)[0];
+    const inserted = snippet.replace(/\r\n/g, '\n').trim().split('\n').map(line => (line ? indent + line : line));
+    lines.splice(markerIndex, 0, ...inserted, '');
+    return { status: 'inserted', content: lines.join('\n') };
+}
@@ -0,0 +1,94 @@
+import path from "path";
+import { contextFor } from './storage.js';
+import { getSessions, retrieveSecondsSpent, retrieveSecondsSpentUntil } from './timers.js';
+import { formatLocalDate } from './format.js';
+
+// Monday of the week containing a date, as YYYY-MM-DD
+export function getWeekStart(date) {
+    const monday = new Date(date);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return formatLocalDate(monday);
+}
+
+// Merge overlapping [start, end] intervals (in ms), so time spent on several files at once counts once
+function mergeIntervals(intervals) {
+    const merged = [];
+    [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+// Summarize the files tracked in a directory's workspace into per-file, daily, weekly and per-language statistics
+export function collectPracticeStats({ days = null, dir = process.cwd() } = {}) {
+    const { state } = contextFor(dir);
+    const since = days ? Date.now() - days * 86400000 : 0;
+    const files = [];
+    const daily = {};
+    const weekly = {};
+    const languages = {};
+    const intervals = [];
+
+    Object.entries(state.fileTimestamps).forEach(([filename, timestamps]) => {
+        if (new Date(timestamps.generated) < since) return;
+
+        const language = path.extname(filename) || '(none)';
+        const activeSeconds = retrieveSecondsSpent(filename);
+        files.push({
+            file: filename,
+            language,
+            generated: timestamps.generated,
+            activeSeconds,
+            secondsToFirstRun: timestamps.firstRun ? retrieveSecondsSpentUntil(filename, timestamps.firstRun) : null,
+            secondsToFirstWind: timestamps.firstWinded ? retrieveSecondsSpentUntil(filename, timestamps.firstWinded) : null
+        });
+
+        getSessions(filename).forEach(session => {
+            intervals.push([new Date(session.start).getTime(), session.end ? new Date(session.end).getTime() : Date.now()]);
+        });
+
+        languages[language] = languages[language] || { files: 0, activeSeconds: 0 };
+        languages[language].files++;
+        languages[language].activeSeconds += activeSeconds;
+    });
+
+    // A contest starts the timers of all of its problems at once; the day and week totals are wall-clock time
+    mergeIntervals(intervals).forEach(([start, end]) => {
+        // Split at local midnight so each day gets its own share
+        for (let from = start; from < end;) {
+            const nextDay = new Date(from);
+            nextDay.setHours(24, 0, 0, 0);
+            const to = Math.min(end, nextDay.getTime());
+            const seconds = (to - from) / 1000;
+            const day = new Date(from);
+            daily[formatLocalDate(day)] = (daily[formatLocalDate(day)] || 0) + seconds;
+            weekly[getWeekStart(day)] = (weekly[getWeekStart(day)] || 0) + seconds;
+            from = to;
+        }
+    });
+    Object.keys(daily).forEach(day => { daily[day] = Math.floor(daily[day]); });
+    Object.keys(weekly).forEach(week => { weekly[week] = Math.floor(weekly[week]); });
+
+    files.sort((a, b) => new Date(a.generated) - new Date(b.generated));
+    return { files, daily, weekly, languages };
+}
+
+// Serialize the per-file statistics as CSV
+export function practiceStatsToCsv(stats) {
+    const quote = (value) => (value === null ? '' : `"${String(value).replace(/"/g, '""')}"`);
+    const header = 'file,language,generated,active_seconds,seconds_to_first_run,seconds_to_first_wind';
+    const rows = stats.files.map(row => [
+        quote(row.file),
+        quote(row.language),
+        quote(row.generated),
+        row.activeSeconds,
+        row.secondsToFirstRun === null ? '' : row.secondsToFirstRun,
+        row.secondsToFirstWind === null ? '' : row.secondsToFirstWind
+    ].join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,91 @@
+import fs from 'fs-extra';
+import path from "path";
+import envPaths from "env-paths";
+import crypto from 'crypto';
+import { findConfigFile, loadWorkspace } from './config.js';
+
+// Persistent storage paths
+export const storageDir = envPaths("nomouse").data;
+export const templatesDir = path.join(storageDir, 'templates');
+export const snippetsDir = path.join(storageDir, 'snippets');
+export const exeDir = path.join(storageDir, 'exe');
+export const languagesFile = path.join(storageDir, 'languages.json');
+export const variablesFile = path.join(storageDir, 'variables.json');
+export const workspacesDir = path.join(storageDir, 'workspaces');
+export const backupsDir = path.join(storageDir, 'backups');
+
+// Template and snippet names end up in file names, so they are kept to letters, digits, "_" and "-"
+export function isValidName(name) {
+    return /^[\w-]+$/.test(name);
+}
+
+// Extensions as they appear in template and snippet file names, e.g. ".cpp" or ".c++"
+export function isValidExtension(ext) {
+    return /^\.[\w+-]+$/.test(ext);
+}
+
+// State outside any workspace
+export const globalStateFile = path.join(storageDir, 'state.json');
+
+// Each workspace keeps its own state, keyed by the directory holding its .nomousrc
+export function stateFileFor(workspace) {
+    return workspace
+        ? path.join(workspacesDir, `${crypto.createHash('sha256').update(workspace.dir).digest('hex').slice(0, 16)}.json`)
+        : globalStateFile;
+}
+
+// File each loaded state is saved to
+const stateFiles = new WeakMap();
+
+// Load persistent state
+export function loadState(file = globalStateFile, workspace = null) {
+    let state;
+    try {
+        if (fs.existsSync(file)) {
+            state = fs.readJsonSync(file);
+        }
+    } catch (error) {
+        console.warn(`Warning: Could not load ${file}, starting fresh.`);
+    }
+    state = state || {
+        workspace: workspace ? workspace.dir : null,
+        lastGenerated: null,
+        lastRun: null,
+        stats: { generated: 0, run: 0 },
+        fileTimestamps: {}
+    };
+    stateFiles.set(state, file);
+    return state;
+}
+
+// Save persistent state to the file it was loaded from
+export function saveState(state) {
+    fs.outputJsonSync(stateFiles.get(state) || globalStateFile, state, { spaces: 2 });
+}
+
+// Contexts loaded so far, keyed by their .nomousrc ('' outside any workspace)
+const contexts = new Map();
+
+function loadContext(configFile) {
+    if (!contexts.has(configFile)) {
+        const workspace = configFile ? loadWorkspace(path.dirname(configFile)) : null;
+        const stateFile = stateFileFor(workspace);
+        const state = loadState(stateFile, workspace);
+        // Global state, read inside a workspace for the limits, library paths and default templates
+        // the workspace does not set itself
+        const globalState = workspace ? loadContext('').state : state;
+        contexts.set(configFile, { workspace, stateFile, state, globalState });
+    }
+    return contexts.get(configFile);
+}
+
+// Workspace and state that apply to files in a directory: { workspace, stateFile, state, globalState }.
+// Each is loaded once and shared, so changes made by one module are seen by the others.
+export function contextFor(dir = process.cwd()) {
+    return loadContext(findConfigFile(dir) || '');
+}
+
+// Context of the directory holding a file
+export function contextOfFile(filename) {
+    return contextFor(path.dirname(path.resolve(filename)));
+}
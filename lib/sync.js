@@ -0,0 +1,181 @@
+import fs from 'fs-extra';
+import path from "path";
+import { templatesDir, languagesFile, variablesFile, isValidName, isValidExtension } from './storage.js';
+import { templateFileName, parseTemplateFile, loadVariables } from './templates.js';
+import { loadLanguages, saveLanguages } from './build.js';
+import { backupFile } from './backups.js';
+import { listSnippets, saveSnippet } from './snippets.js';
+
+// Marker and version written into every bundle so imports can reject unrelated JSON files
+export const BUNDLE_FORMAT = 'nomouse-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Pack the global templates, snippets, languages and template variables into one JSON object.
+// Templates of a .nomousrc workspace belong to its project and are not included.
+export async function createBundle() {
+    const templates = {};
+    const files = await fs.pathExists(templatesDir) ? await fs.readdir(templatesDir) : [];
+    for (const file of files.sort()) {
+        const parsed = parseTemplateFile(file);
+        if (!parsed) continue;
+        templates[parsed.ext] = templates[parsed.ext] || {};
+        templates[parsed.ext][parsed.name] = await fs.readFile(path.join(templatesDir, file), 'utf8');
+    }
+
+    const snippets = {};
+    for (const snippet of await listSnippets()) {
+        snippets[snippet.ext] = snippets[snippet.ext] || {};
+        snippets[snippet.ext][snippet.name] = { tags: snippet.tags, content: await fs.readFile(snippet.path, 'utf8') };
+    }
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        templates,
+        snippets,
+        languages: loadLanguages({ includeWorkspace: false }),
+        variables: loadVariables()
+    };
+}
+
+// Read and validate a bundle written by createBundle
+export async function readBundle(file) {
+    let bundle;
+    try {
+        bundle = await fs.readJson(file);
+    } catch (error) {
+        throw new Error(`${file} is not a valid JSON bundle (${error.message})`);
+    }
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(`${file} is not a nomouse bundle`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`${file} was exported by a newer version (bundle version ${bundle.version})`);
+    }
+    return bundle;
+}
+
+// Compare one entry of the bundle with what is stored locally
+function planEntry(kind, key, label, current, incoming) {
+    const status = current === null ? 'new' : current === incoming ? 'unchanged' : 'conflict';
+    return { kind, key, label, status, current, incoming };
+}
+
+// List what importing a bundle would change: one entry per template, snippet, language and variable,
+// each with a status of 'new', 'unchanged' or 'conflict' and both versions as text
+export async function planImport(bundle) {
+    const plan = [];
+
+    for (const [ext, named] of Object.entries(bundle.templates || {})) {
+        for (const [name, content] of Object.entries(named)) {
+            // Bundle keys end up in file names, so refuse anything that could leave the templates directory
+            if (!isValidExtension(ext) || !isValidName(name)) {
+                throw new Error(`Invalid template ${ext} (${name}) in bundle`);
+            }
+            const templatePath = path.join(templatesDir, templateFileName(ext, name));
+            const current = await fs.pathExists(templatePath) ? await fs.readFile(templatePath, 'utf8') : null;
+            plan.push(planEntry('template', { ext, name }, `${ext} (${name})`, current, String(content)));
+        }
+    }
+
+    const snippets = await listSnippets();
+    for (const [ext, named] of Object.entries(bundle.snippets || {})) {
+        for (const [name, snippet] of Object.entries(named)) {
+            if (!isValidExtension(ext) || !isValidName(name)) {
+                throw new Error(`Invalid snippet ${name}${ext} in bundle`);
+            }
+            const local = snippets.find(other => other.name === name && other.ext === ext);
+            const current = local ? await fs.readFile(local.path, 'utf8') : null;
+            plan.push(planEntry('snippet', { ext, name, tags: snippet.tags || [] }, `${name}${ext}`, current, String(snippet.content)));
+        }
+    }
+
+    const languages = loadLanguages({ includeWorkspace: false });
+    Object.entries(bundle.languages || {}).forEach(([ext, language]) => {
+        const current = languages[ext] ? JSON.stringify(languages[ext], null, 2) : null;
+        plan.push(planEntry('language', ext, ext, current, JSON.stringify(language, null, 2)));
+    });
+
+    const variables = loadVariables();
+    Object.entries(bundle.variables || {}).forEach(([key, value]) => {
+        const current = key in variables ? String(variables[key]) : null;
+        plan.push(planEntry('variable', key, key, current, String(value)));
+    });
+
+    return plan;
+}
+
+// Write the new entries of a plan, and the conflicting ones too when `overwrite` is set.
+// Replaced templates and snippets and the previous languages.json / variables.json are backed up first.
+// Returns { added, replaced, kept, unchanged } counts.
+export async function applyImport(plan, { overwrite = false } = {}) {
+    const counts = { added: 0, replaced: 0, kept: 0, unchanged: 0 };
+    const languages = loadLanguages({ includeWorkspace: false });
+    const variables = loadVariables();
+    let languagesChanged = false;
+    let variablesChanged = false;
+
+    for (const entry of plan) {
+        if (entry.status === 'unchanged') {
+            counts.unchanged++;
+            continue;
+        }
+        if (entry.status === 'conflict' && !overwrite) {
+            counts.kept++;
+            continue;
+        }
+        counts[entry.status === 'new' ? 'added' : 'replaced']++;
+
+        if (entry.kind === 'template') {
+            const templatePath = path.join(templatesDir, templateFileName(entry.key.ext, entry.key.name));
+            await backupFile(templatePath);
+            await fs.outputFile(templatePath, entry.incoming);
+        } else if (entry.kind === 'snippet') {
+            await saveSnippet(entry.key.name, entry.key.ext, entry.incoming, entry.key.tags);
+        } else if (entry.kind === 'language') {
+            languages[entry.key] = JSON.parse(entry.incoming);
+            languagesChanged = true;
+        } else {
+            variables[entry.key] = entry.incoming;
+            variablesChanged = true;
+        }
+    }
+
+    if (languagesChanged) {
+        await backupFile(languagesFile);
+        saveLanguages(languages);
+    }
+    if (variablesChanged) {
+        await backupFile(variablesFile);
+        await fs.outputJson(variablesFile, variables, { spaces: 2 });
+    }
+    return counts;
+}
+
+// Line diff of two texts as [{ type: ' ' | '-' | '+', line }], based on their longest common subsequence
+export function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            diff.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+            diff.push({ type: '+', line: b[j++] });
+        } else {
+            diff.push({ type: '-', line: a[i++] });
+        }
+    }
+    return diff;
+}
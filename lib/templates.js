@@ -0,0 +1,150 @@
+import fs from 'fs-extra';
+import path from "path";
+import os from "os";
+import { templatesDir, variablesFile, contextFor, contextOfFile } from './storage.js';
+import { registerFileGenerated } from './timers.js';
+import { formatLocalDate } from './format.js';
+
+// Name of the template stored as plain `template<ext>`
+export const DEFAULT_TEMPLATE_NAME = 'default';
+
+// File name of a named template: `template<ext>` for the default one, `template.<name><ext>` otherwise
+export function templateFileName(ext, name = DEFAULT_TEMPLATE_NAME) {
+    return name === DEFAULT_TEMPLATE_NAME ? `template${ext}` : `template.${name}${ext}`;
+}
+
+// Directories searched for templates: the own directory of `dir`'s workspace first, then the global one
+export function getTemplateDirs(dir = process.cwd()) {
+    const { workspace } = contextFor(dir);
+    return workspace && workspace.templatesDir ? [workspace.templatesDir, templatesDir] : [templatesDir];
+}
+
+// Path a named template is looked up at: the first directory that has it, else the first directory
+export function templatePathFor(ext, name = DEFAULT_TEMPLATE_NAME, dir = process.cwd()) {
+    const candidates = getTemplateDirs(dir).map(templateDir => path.join(templateDir, templateFileName(ext, name)));
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+// Path a named template is written to: always the first directory, so setting a template
+// inside a workspace never overwrites the global one it would otherwise fall back to
+export function templateTargetFor(ext, name = DEFAULT_TEMPLATE_NAME, dir = process.cwd()) {
+    return path.join(getTemplateDirs(dir)[0], templateFileName(ext, name));
+}
+
+// Split a template file name back into its extension and template name
+export function parseTemplateFile(file) {
+    if (!file.startsWith('template.')) return null;
+    const rest = file.slice('template'.length);
+    const ext = path.extname(rest);
+    if (!ext || ext === rest) {
+        return { ext: rest, name: DEFAULT_TEMPLATE_NAME };
+    }
+    return { ext, name: rest.slice(1, -ext.length) };
+}
+
+// Group every stored template by extension, e.g. { '.cpp': ['default', 'graph'] }
+export async function listTemplates(dir = process.cwd()) {
+    const grouped = {};
+    for (const templateDir of getTemplateDirs(dir)) {
+        if (!await fs.pathExists(templateDir)) continue;
+        for (const file of await fs.readdir(templateDir)) {
+            const parsed = parseTemplateFile(file);
+            if (!parsed) continue;
+            grouped[parsed.ext] = grouped[parsed.ext] || [];
+            if (!grouped[parsed.ext].includes(parsed.name)) grouped[parsed.ext].push(parsed.name);
+        }
+    }
+    Object.values(grouped).forEach(names => names.sort());
+    return grouped;
+}
+
+// Template name used for an extension when none is given explicitly
+export function getDefaultTemplateName(ext, dir = process.cwd()) {
+    const { state, globalState } = contextFor(dir);
+    return (state.defaultTemplates || {})[ext] || (globalState.defaultTemplates || {})[ext] || DEFAULT_TEMPLATE_NAME;
+}
+
+// Look up a template as seen from `dir`; returns { ext, name, path, content } or null when it does not exist
+export async function readTemplate(ext, name = null, dir = process.cwd()) {
+    name = name || getDefaultTemplateName(ext, dir);
+    const templatePath = templatePathFor(ext, name, dir);
+    if (!await fs.pathExists(templatePath)) return null;
+    return { ext, name, path: templatePath, content: await fs.readFile(templatePath, 'utf8') };
+}
+
+// Marker left in templates where the cursor should start
+export const CURSOR_MARKER = '{{cursor}}';
+
+// Load user-defined template variables such as author
+export function loadVariables() {
+    try {
+        if (fs.existsSync(variablesFile)) {
+            return fs.readJsonSync(variablesFile);
+        }
+    } catch (error) {
+        console.warn(`Warning: Could not load ${variablesFile}, ignoring it.`);
+    }
+    return {};
+}
+
+// Name of the current user; containers may have no passwd entry for the uid, where os.userInfo() throws
+function getUserName() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return process.env.USER || process.env.USERNAME || process.env.LOGNAME || '';
+    }
+}
+
+// Collect the values available to a template, from lowest to highest priority:
+// built-ins derived from the filename, variables.json, then --var flags
+export function buildTemplateVariables(filename, overrides = {}) {
+    const ext = path.extname(filename);
+    const baseName = path.basename(filename, ext);
+    return {
+        filename: path.basename(filename),
+        classname: baseName,
+        problem: baseName.toUpperCase(),
+        date: formatLocalDate(new Date()),
+        author: getUserName(),
+        ...loadVariables(),
+        ...overrides
+    };
+}
+
+// Fill {{name}} placeholders and locate the cursor marker.
+// Unknown placeholders are kept as-is and reported.
+export function expandTemplate(template, variables) {
+    const unknown = new Set();
+    const expanded = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+        if (key === 'cursor') return CURSOR_MARKER;
+        if (key in variables) return String(variables[key]);
+        unknown.add(key);
+        return placeholder;
+    });
+
+    const cursorIndex = expanded.indexOf(CURSOR_MARKER);
+    let cursor = null;
+    if (cursorIndex !== -1) {
+        const before = expanded.slice(0, cursorIndex).split('\n');
+        cursor = { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+
+    return { content: expanded.split(CURSOR_MARKER).join(''), cursor, unknown: [...unknown] };
+}
+
+// Write a new file from a template and start its timer.
+// Returns null when the template does not exist.
+export async function generateFile(filename, { templateName, variables = {} } = {}) {
+    const ext = path.extname(filename);
+    const template = await readTemplate(ext, templateName, path.dirname(path.resolve(filename)));
+
+    if (!template) return null;
+
+    const result = expandTemplate(template.content, buildTemplateVariables(filename, variables));
+    await fs.writeFile(filename, result.content);
+
+    contextOfFile(filename).state.stats.generated++;
+    registerFileGenerated(path.resolve(filename));
+    return result;
+}
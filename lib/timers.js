@@ -0,0 +1,161 @@
+import path from "path";
+import { contextFor, contextOfFile, saveState } from './storage.js';
+
+// Timers are kept in the state of the workspace the file belongs to
+function stateOf(filename) {
+    return contextOfFile(filename).state;
+}
+
+// Register file generation timestamp and open its first work session
+export function registerFileGenerated(filename) {
+    const state = stateOf(filename);
+    const ts = new Date().toISOString();
+    state.fileTimestamps[filename] = {
+        generated: ts,
+        sessions: [{ start: ts, end: null }]
+    };
+    saveState(state);
+    return ts;
+}
+
+// Register file last-winded timestamp
+export function registerFileWinded(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename]) return;
+    const ts = new Date().toISOString();
+    state.fileTimestamps[filename].firstWinded = state.fileTimestamps[filename].firstWinded || ts;
+    state.fileTimestamps[filename].lastWinded = ts;
+    saveState(state);
+    return ts;
+}
+
+// Register file first-run timestamp
+export function registerFileRun(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename]) return;
+    if (state.fileTimestamps[filename].firstRun) return state.fileTimestamps[filename].firstRun;
+    const ts = new Date().toISOString();
+    state.fileTimestamps[filename].firstRun = ts;
+    saveState(state);
+    return ts;
+}
+
+// Remember a file as the last one run and count the run
+export function recordRun(filename) {
+    const state = stateOf(filename);
+    state.lastRun = path.resolve(filename);
+    state.stats.run++;
+    registerFileRun(resolveTrackedFile(filename));
+    saveState(state);
+}
+
+// Work sessions of a file, converting entries written before sessions existed
+export function getSessions(filename) {
+    const state = stateOf(filename);
+    const timestamps = state.fileTimestamps[filename];
+    if (!timestamps) return [];
+    if (!timestamps.sessions) {
+        const sessions = [];
+        // Older versions only remembered the length of the latest pause
+        if (timestamps.blank && timestamps.resumed !== timestamps.generated) {
+            const firstEnd = new Date(new Date(timestamps.resumed) - timestamps.blank).toISOString();
+            sessions.push({ start: timestamps.generated, end: firstEnd });
+            sessions.push({ start: timestamps.resumed, end: timestamps.paused || null });
+        } else {
+            sessions.push({ start: timestamps.generated, end: timestamps.paused || null });
+        }
+        timestamps.sessions = sessions;
+        delete timestamps.resumed;
+        delete timestamps.paused;
+        delete timestamps.blank;
+    }
+    return timestamps.sessions;
+}
+
+// Whether the file has an open work session
+export function isTimerRunning(filename) {
+    const sessions = getSessions(filename);
+    return sessions.length > 0 && !sessions[sessions.length - 1].end;
+}
+
+// Close the open work session; returns -1 if the timer is not running
+export function pauseTimer(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename]) return;
+    if (!isTimerRunning(filename)) return -1;
+    const ts = new Date().toISOString();
+    const sessions = getSessions(filename);
+    sessions[sessions.length - 1].end = ts;
+    saveState(state);
+    return ts;
+}
+
+// Open a new work session; returns the seconds spent paused, null if untracked, -1 if already running
+export function resumeTimer(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename]) return null;
+    if (isTimerRunning(filename)) return -1;
+    const sessions = getSessions(filename);
+    const now = new Date();
+    const lastEnd = sessions.length > 0 ? new Date(sessions[sessions.length - 1].end) : now;
+    sessions.push({ start: now.toISOString(), end: null });
+    saveState(state);
+    return Math.floor((now - lastEnd) / 1000);
+}
+
+// Active time across all work sessions, in seconds
+export function retrieveSecondsSpent(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename]) return -1;
+    const now = new Date();
+    const spent = getSessions(filename).reduce((total, session) => {
+        const end = session.end ? new Date(session.end) : now;
+        return total + (end - new Date(session.start));
+    }, 0);
+    return Math.floor(spent / 1000);
+}
+
+export function retrieveSecondsSinceLastWind(filename) {
+    const state = stateOf(filename);
+    if (!state.fileTimestamps[filename] || !state.fileTimestamps[filename].lastWinded) return -1;
+    const lastWinded = new Date(state.fileTimestamps[filename].lastWinded);
+    const elapsed = new Date() - lastWinded;
+    return Math.floor(elapsed / 1000);
+}
+
+// Active time spent before a given moment, in seconds
+export function retrieveSecondsSpentUntil(filename, until) {
+    const limit = new Date(until);
+    const spent = getSessions(filename).reduce((total, session) => {
+        const start = new Date(session.start);
+        if (start >= limit) return total;
+        const end = session.end ? new Date(session.end) : new Date();
+        return total + (Math.min(end, limit) - start);
+    }, 0);
+    return Math.floor(spent / 1000);
+}
+
+export function getFileTimestamps(filename) {
+    const state = stateOf(filename);
+    return state.fileTimestamps[filename] || null;
+}
+
+// Files are tracked by absolute path so they can be found from any directory;
+// entries written by older versions may still use the name as typed
+export function resolveTrackedFile(filename) {
+    const state = stateOf(filename);
+    const absolute = path.resolve(filename);
+    if (state.fileTimestamps[absolute] || !state.fileTimestamps[filename]) return absolute;
+    return filename;
+}
+
+// Resolve the file a command acts on: a problem of the current contest, a file name,
+// or the last run/generated file
+export function resolveTargetFile(target) {
+    const { state } = contextFor();
+    if (target && state.currentContest) {
+        const file = state.currentContest.problems[target.toUpperCase()];
+        if (file) return path.join(state.currentContest.dir, file);
+    }
+    return target || state.lastRun || state.lastGenerated;
+}
@@ -0,0 +1,30 @@
+// Parse a duration such as "2s", "1.5s" or "500ms" into milliseconds (bare numbers are seconds)
+export function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+    if (!match) {
+        throw new Error('Expected a duration such as 2s or 500ms.');
+    }
+    const amount = parseFloat(match[1]);
+    return Math.round((match[2] || 's').toLowerCase() === 'ms' ? amount : amount * 1000);
+}
+
+// Parse a memory size such as "256m", "1g" or "512k" into megabytes (bare numbers are megabytes)
+export function parseMemory(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg])?b?$/i);
+    if (!match) {
+        throw new Error('Expected a memory size such as 256m or 1g.');
+    }
+    const amount = parseFloat(match[1]);
+    const unit = (match[2] || 'm').toLowerCase();
+    return unit === 'g' ? amount * 1024 : unit === 'k' ? amount / 1024 : amount;
+}
+
+// Parse a source size such as "64k" or "1m" into kilobytes (bare numbers are kilobytes)
+export function parseSourceSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([km])?b?$/i);
+    if (!match) {
+        throw new Error('Expected a size such as 64k or 1m.');
+    }
+    const amount = parseFloat(match[1]);
+    return (match[2] || 'k').toLowerCase() === 'm' ? amount * 1024 : amount;
+}